@@ -0,0 +1,120 @@
+/**
+ * Funnel drop-off: the chance that a visitor walks away at each abandonment
+ * point of a journey, so PostHog funnels don't show near-100% conversion.
+ *
+ * Journeys mark the points with `abandon` steps (see journeys/steps.js):
+ * - landing: leaves right after the landing page
+ * - signup-form: gives up halfway through the signup form
+ * - login: signed up (or came back) but never logs in
+ * - movie: never opens a movie
+ *
+ * Off unless ABANDONMENT is set. Rates then come from the defaults below, then
+ * the persona's `abandonment`, then ABANDONMENT's `rates`, then its per-device and
+ * per-UTM-source overrides, each replacing the rates it names. An abandoned session ends cleanly
+ * and counts as a success.
+ */
+
+export const JOURNEY_ABANDONED = 'JOURNEY_ABANDONED';
+
+export const ABANDONMENT_POINTS = ['landing', 'signup-form', 'login', 'movie'];
+
+export const DEFAULT_ABANDONMENT_RATES = {
+    landing: 0.1,
+    'signup-form': 0.08,
+    login: 0.05,
+    movie: 0.1
+};
+
+/**
+ * @param {string} point - Abandonment point the visitor left at
+ * @returns {Error} Error with code JOURNEY_ABANDONED that ends the journey
+ */
+export function createAbandonment(point) {
+    const error = new Error(`Visitor abandoned the journey at ${point}`);
+    error.code = JOURNEY_ABANDONED;
+    error.point = point;
+    return error;
+}
+
+/**
+ * @param {Error} error - Any error
+ * @returns {boolean} True if the error was raised by an abandon step
+ */
+export function isAbandonment(error) {
+    return error?.code === JOURNEY_ABANDONED;
+}
+
+/**
+ * Resolves the rates for one session
+ * @param {Object} config - Abandonment settings from loadAbandonment
+ * @param {Object} session
+ * @param {Object} [session.persona] - Persona definition, may have `abandonment` rates
+ * @param {string} [session.deviceType] - desktop, tablet or mobile
+ * @param {string} [session.utmSource] - The session's utm_source
+ * @returns {Object<string, number>} Abandonment point -> probability (0-1)
+ */
+export function abandonmentRates(config, { persona, deviceType, utmSource } = {}) {
+    return {
+        ...DEFAULT_ABANDONMENT_RATES,
+        ...persona?.abandonment,
+        ...config.rates,
+        ...config.devices?.[deviceType],
+        ...config.utmSources?.[utmSource]
+    };
+}
+
+function validateRates(rates, name) {
+    if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+        throw new Error(`ABANDONMENT ${name} must be an object of { point: probability }`);
+    }
+    for (const [point, rate] of Object.entries(rates)) {
+        if (!ABANDONMENT_POINTS.includes(point)) {
+            throw new Error(
+                `ABANDONMENT ${name} has unknown point "${point}", ` +
+                    `expected one of: ${ABANDONMENT_POINTS.join(', ')}`
+            );
+        }
+        if (typeof rate !== 'number' || rate < 0 || rate > 1) {
+            throw new Error(`ABANDONMENT ${name}.${point} must be a number between 0 and 1`);
+        }
+    }
+}
+
+/**
+ * Reads abandonment settings from ABANDONMENT, a JSON object with optional
+ * `rates`, `devices` ({ mobile: rates }) and `utmSources` ({ facebook: rates }),
+ * or "on" for the default rates. Unset or "off" leaves abandonment off, so
+ * existing runs keep their completed-session counts until someone opts in.
+ * @param {Object} env - Environment variables, usually process.env
+ * @returns {Object|null} Abandonment settings, or null when off. `rates` holds only
+ *   the rates set in ABANDONMENT; abandonmentRates applies the defaults under them
+ * @throws {Error} If ABANDONMENT is invalid
+ */
+export function loadAbandonment(env) {
+    if (!env.ABANDONMENT || env.ABANDONMENT === 'off') return null;
+
+    let config = {};
+    if (env.ABANDONMENT !== 'on') {
+        try {
+            config = JSON.parse(env.ABANDONMENT);
+        } catch (error) {
+            throw new Error(`ABANDONMENT must be valid JSON, "on" or "off": ${error.message}`);
+        }
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error('ABANDONMENT must be a JSON object');
+        }
+    }
+
+    validateRates(config.rates || {}, 'rates');
+    for (const key of ['devices', 'utmSources']) {
+        for (const [name, rates] of Object.entries(config[key] || {})) {
+            validateRates(rates, `${key}.${name}`);
+        }
+    }
+
+    return {
+        rates: config.rates || {},
+        devices: config.devices || {},
+        utmSources: config.utmSources || {}
+    };
+}
@@ -0,0 +1,160 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pick } from '../tools/random.js';
+import { createWriteQueue } from './write_queue.js';
+
+/**
+ * Pool of Hogflix accounts created by earlier sessions, so later sessions can
+ * come back as returning users: log in with the saved password instead of
+ * signing up again.
+ *
+ * Accounts are kept in a single JSON file ({ accounts: [...] }), loaded once at
+ * startup and rewritten (via a temp file and rename) whenever an account is
+ * added or updated. Each account has username, email, password, firstName,
+ * lastName, locale, persona, country, plan, createdAt, lastSeenAt, lastMovie
+ * and visits.
+ *
+ * Each account's browser storage state (see browser_state.js) is kept in its own
+ * file under browser-state/, so the pool file stays small.
+ */
+
+const stateFileName = (username) => `${username.replace(/[^\w.-]/g, '_')}.json`;
+
+/**
+ * Creates an account pool backed by a JSON file
+ * @param {string} file - Pool file, created on first write
+ * @param {Object} [options]
+ * @param {string} [options.browserStateDir] - Directory for per-account browser state,
+ *   browser state isn't kept if not given
+ * @returns {Promise<Object>} Account pool
+ */
+export async function createAccountPool(file, { browserStateDir } = {}) {
+    let accounts = [];
+    // Usernames checked out by running sessions, so two sessions never share a login
+    const inUse = new Set();
+    const enqueueWrite = createWriteQueue();
+
+    try {
+        accounts = JSON.parse(await fs.readFile(file, 'utf8')).accounts || [];
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const save = () => enqueueWrite(async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const tmpFile = `${file}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify({ accounts }, null, 2));
+        await fs.rename(tmpFile, file);
+    });
+
+    return {
+        get size() {
+            return accounts.length;
+        },
+
+        /**
+         * Picks a saved account that no running session is using and marks it in use
+         * @param {function(): number} [random] - Random source, defaults to Math.random
+         * @param {Object} [filter]
+         * @param {string} [filter.persona] - Only accounts created with this persona
+         * @returns {Object|null} Copy of the account, or null if none is available
+         */
+        checkout(random = Math.random, { persona } = {}) {
+            const available = accounts.filter(account =>
+                !inUse.has(account.username) && (!persona || account.persona === persona)
+            );
+            if (available.length === 0) return null;
+            const account = pick(available, random);
+            inUse.add(account.username);
+            return { ...account };
+        },
+
+        /**
+         * Makes a checked out account available to other sessions again
+         * @param {string} username - Account username
+         */
+        release(username) {
+            inUse.delete(username);
+        },
+
+        /**
+         * Saves a newly created account
+         * @param {Object} account - Account fields, see above
+         * @returns {Promise<void>}
+         */
+        add(account) {
+            const now = new Date().toISOString();
+            accounts.push({ createdAt: now, lastSeenAt: now, visits: 1, ...account });
+            return save();
+        },
+
+        /**
+         * Records a returning visit, e.g. the movie watched or a plan change
+         * @param {string} username - Account username
+         * @param {Object} changes - Fields to update
+         * @returns {Promise<void>}
+         */
+        update(username, changes) {
+            const account = accounts.find(a => a.username === username);
+            if (!account) return Promise.resolve();
+            Object.assign(account, changes, {
+                lastSeenAt: new Date().toISOString(),
+                visits: (account.visits || 1) + 1
+            });
+            return save();
+        },
+
+        /**
+         * @param {string} username - Account username
+         * @returns {Promise<Object|null>} Saved browser storage state, or null if there is none
+         */
+        async loadBrowserState(username) {
+            if (!browserStateDir) return null;
+            try {
+                return JSON.parse(await fs.readFile(path.join(browserStateDir, stateFileName(username)), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        /**
+         * Replaces an account's browser storage state
+         * @param {string} username - Account username
+         * @param {Object} state - Storage state from browser_state.js
+         * @returns {Promise<void>}
+         */
+        async saveBrowserState(username, state) {
+            if (!browserStateDir) return;
+            const stateFile = path.join(browserStateDir, stateFileName(username));
+            await fs.mkdir(browserStateDir, { recursive: true });
+            await fs.writeFile(`${stateFile}.tmp`, JSON.stringify(state));
+            await fs.rename(`${stateFile}.tmp`, stateFile);
+        }
+    };
+}
+
+/**
+ * Reads account pool settings from the environment
+ * @param {Object} env - Environment variables, usually process.env
+ * @param {string} dataDir - Data directory, the pool lives in accounts.json there and
+ *   browser state in browser-state/ unless PERSIST_BROWSER_STATE is false
+ * @returns {Promise<{pool: Object, returningRate: number}|null>} Settings, or null when
+ *   RETURNING_USER_RATE is unset or 0. The pool stores passwords in plain text, so it
+ *   stays off until someone opts in
+ * @throws {Error} If RETURNING_USER_RATE is invalid or the pool can't be read
+ */
+export async function loadAccountPool(env, dataDir) {
+    const returningRate = Number(env.RETURNING_USER_RATE || '0');
+    if (!(returningRate >= 0 && returningRate <= 1)) {
+        throw new Error('RETURNING_USER_RATE must be a number between 0 and 1');
+    }
+    if (returningRate === 0) return null;
+
+    return {
+        pool: await createAccountPool(path.join(dataDir, 'accounts.json'), {
+            browserStateDir: env.PERSIST_BROWSER_STATE === 'false' ? undefined : path.join(dataDir, 'browser-state')
+        }),
+        returningRate
+    };
+}
@@ -0,0 +1,232 @@
+import Browserbase from "@browserbasehq/sdk";
+import { chromium } from "playwright-core";
+import { logger } from "../tools/logger.js";
+
+/**
+ * Browser providers hand runSession a ready-to-use page and know how to release it.
+ *
+ * Every provider exposes:
+ * - name: provider identifier
+ * - checkConnection(): verifies the provider is reachable, throws otherwise
+ * - createSession({ geoLocation, device }): resolves to { id, browser, context, page, replayUrl, release }
+ *   with `device` (viewport, deviceScaleFactor, isMobile, hasTouch, userAgent from
+ *   randomBrowser.js) emulated for the whole context, not just the first request
+ *
+ * release() must be safe to call more than once and must never throw.
+ */
+
+export const PROVIDERS = {
+    BROWSERBASE: 'browserbase',
+    LOCAL: 'local'
+};
+
+/**
+ * Emulates a device on every page of a context that already exists, through CDP,
+ * including pages it opens later (popups, new tabs). Each page gets its own CDP
+ * session holding the overrides for as long as the page lives. A page opened later
+ * is emulated as soon as the context reports it, so its very first request can
+ * still go out undisguised.
+ * @param {import('playwright').BrowserContext} context - Browser context
+ * @param {Object} device - Device config from randomBrowser.js
+ * @returns {Promise<void>}
+ */
+async function emulateDevice(context, device) {
+    const emulatePage = async (page) => {
+        const cdp = await context.newCDPSession(page);
+        await cdp.send('Emulation.setDeviceMetricsOverride', {
+            width: device.viewport.width,
+            height: device.viewport.height,
+            deviceScaleFactor: device.deviceScaleFactor || 1,
+            mobile: Boolean(device.isMobile)
+        });
+        if (device.hasTouch) {
+            await cdp.send('Emulation.setTouchEmulationEnabled', { enabled: true, maxTouchPoints: 5 });
+        }
+        if (device.userAgent) {
+            await cdp.send('Emulation.setUserAgentOverride', { userAgent: device.userAgent });
+        }
+    };
+
+    context.on('page', (page) => {
+        emulatePage(page).catch(error => {
+            logger.warn('Could not emulate the device on a new page', { error: error.message });
+        });
+    });
+    await Promise.all(context.pages().map(emulatePage));
+}
+
+/**
+ * Runs sessions on Browserbase, proxied through the session's geolocation
+ * @param {Object} options
+ * @param {string} options.apiKey - Browserbase API key
+ * @param {string} options.projectId - Browserbase project ID
+ * @param {string} [options.region] - Browserbase region
+ */
+export function createBrowserbaseProvider({ apiKey, projectId, region = 'us-east-1' }) {
+    if (!apiKey) {
+        throw new Error('BROWSERBASE_API_KEY is required but not set');
+    }
+    if (!projectId) {
+        throw new Error('BROWSERBASE_PROJECT_ID is required but not set');
+    }
+
+    const bb = new Browserbase({ apiKey, projectId, region });
+
+    return {
+        name: PROVIDERS.BROWSERBASE,
+
+        async checkConnection() {
+            // Test the connection by attempting to list sessions
+            await bb.sessions.list({ projectId });
+        },
+
+        async createSession({ geoLocation, device }) {
+            const session = await bb.sessions.create({
+                projectId,
+                region,
+                ...(device && { browserSettings: { viewport: device.viewport } }),
+                proxies: [{
+                    type: 'browserbase',
+                    geolocation: {
+                        city: geoLocation.city,
+                        country: geoLocation.country,
+                        ...(geoLocation.state && { state: geoLocation.state })
+                    }
+                }]
+            });
+
+            let browser;
+            const release = async () => {
+                try {
+                    await browser?.close();
+                } catch (closeError) {
+                    // Browser may already be closed
+                }
+                try {
+                    await bb.sessions.update(session.id, {
+                        status: "REQUEST_RELEASE",
+                        projectId,
+                    });
+                } catch (cleanupError) {
+                    logger.warn('Failed to release browser session', { browserSessionId: session.id, error: cleanupError.message });
+                }
+            };
+
+            try {
+                browser = await chromium.connectOverCDP(session.connectUrl);
+                const context = browser.contexts()[0];
+                const page = context?.pages()[0];
+                // The context already exists, so the device can't be passed to newContext()
+                if (device) {
+                    await emulateDevice(context, device);
+                }
+
+                return {
+                    id: session.id,
+                    browser,
+                    context,
+                    page,
+                    replayUrl: `https://browserbase.com/sessions/${session.id}`,
+                    release
+                };
+            } catch (error) {
+                await release();
+                throw error;
+            }
+        }
+    };
+}
+
+/**
+ * Runs sessions against a locally launched Chromium, no Browserbase account needed
+ * @param {Object} options
+ * @param {boolean} [options.headless] - Run without a visible browser window
+ * @param {string} [options.executablePath] - Path to a Chromium binary
+ * @param {string} [options.channel] - Installed browser channel, e.g. 'chrome'
+ */
+export function createLocalProvider({ headless = true, executablePath, channel } = {}) {
+    let sessionCounter = 0;
+
+    const launch = () => chromium.launch({
+        headless,
+        ...(executablePath && { executablePath }),
+        ...(channel && { channel })
+    });
+
+    return {
+        name: PROVIDERS.LOCAL,
+
+        async checkConnection() {
+            // Launching once confirms the binary exists and starts
+            const browser = await launch();
+            await browser.close();
+        },
+
+        async createSession({ geoLocation, device }) {
+            const browser = await launch();
+            const release = async () => {
+                try {
+                    await browser.close();
+                } catch (closeError) {
+                    // Browser may already be closed
+                }
+            };
+
+            try {
+                const context = await browser.newContext({
+                    ...(device && {
+                        viewport: device.viewport,
+                        deviceScaleFactor: device.deviceScaleFactor,
+                        isMobile: device.isMobile,
+                        hasTouch: device.hasTouch,
+                        ...(device.userAgent && { userAgent: device.userAgent })
+                    }),
+                    geolocation: {
+                        latitude: geoLocation.latitude,
+                        longitude: geoLocation.longitude
+                    },
+                    permissions: ['geolocation']
+                });
+                const page = await context.newPage();
+
+                return {
+                    id: `local-${process.pid}-${++sessionCounter}`,
+                    browser,
+                    context,
+                    page,
+                    replayUrl: null,
+                    release
+                };
+            } catch (error) {
+                await release();
+                throw error;
+            }
+        }
+    };
+}
+
+/**
+ * Builds the provider selected by BROWSER_PROVIDER (defaults to Browserbase)
+ * @param {Object} env - Environment variables, usually process.env
+ */
+export function createBrowserProvider(env = process.env) {
+    const providerName = (env.BROWSER_PROVIDER || PROVIDERS.BROWSERBASE).toLowerCase();
+
+    switch (providerName) {
+        case PROVIDERS.BROWSERBASE:
+            return createBrowserbaseProvider({
+                apiKey: env.BROWSERBASE_API_KEY,
+                projectId: env.BROWSERBASE_PROJECT_ID
+            });
+        case PROVIDERS.LOCAL:
+            return createLocalProvider({
+                headless: env.HEADLESS !== 'false',
+                executablePath: env.CHROMIUM_EXECUTABLE_PATH,
+                channel: env.CHROMIUM_CHANNEL
+            });
+        default:
+            throw new Error(
+                `Unknown BROWSER_PROVIDER "${providerName}", expected one of: ${Object.values(PROVIDERS).join(', ')}`
+            );
+    }
+}
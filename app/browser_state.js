@@ -0,0 +1,69 @@
+import { logger } from '../tools/logger.js';
+
+/**
+ * Browser storage that makes a returning user look like the same person.
+ *
+ * PostHog keeps its distinct ID in a cookie or localStorage, so a fresh browser
+ * would show up as a brand-new anonymous visitor who then logs in. The account
+ * pool saves each user's Playwright storage state (cookies plus localStorage
+ * per origin) when a session ends and restores it at the start of their next
+ * one. This works the same on every provider, including Browserbase sessions
+ * whose context already exists when we connect.
+ *
+ * Only PostHog's own cookies and localStorage keys are kept. The app's session
+ * cookie would otherwise come back too, and a user who never logged out (churn,
+ * or a session abandoned after login) would start their next visit already
+ * logged in, breaking the login steps every returning journey begins with.
+ */
+
+// PostHog persists as ph_<project key>_posthog, plus a few __ph_ keys
+const isPostHogKey = ({ name }) => name.startsWith('ph_') || name.startsWith('__ph');
+
+const postHogOrigins = (origins = []) => origins.map(origin => ({
+    ...origin,
+    localStorage: (origin.localStorage || []).filter(isPostHogKey)
+}));
+
+/**
+ * Reads the context's PostHog cookies and localStorage
+ * @param {import('playwright').BrowserContext} context - Session's browser context
+ * @returns {Promise<Object|null>} Playwright storage state, or null if it couldn't be read
+ */
+export async function captureBrowserState(context) {
+    try {
+        const state = await context.storageState();
+        return {
+            cookies: (state.cookies || []).filter(isPostHogKey),
+            origins: postHogOrigins(state.origins)
+        };
+    } catch (error) {
+        logger.warn('Could not read browser storage state', { error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Puts saved PostHog cookies and localStorage back into a context. Cookies are added
+ * right away; localStorage is written by an init script the first time each
+ * origin loads in this session, before the page's own scripts run.
+ * @param {import('playwright').BrowserContext} context - Session's browser context
+ * @param {Object} state - Storage state from captureBrowserState
+ * @returns {Promise<void>}
+ */
+export async function restoreBrowserState(context, state) {
+    // Files saved before captureBrowserState filtered may still hold the app's session
+    const cookies = (state.cookies || []).filter(isPostHogKey);
+    if (cookies.length > 0) {
+        await context.addCookies(cookies);
+    }
+    const origins = postHogOrigins(state.origins).filter(origin => origin.localStorage.length > 0);
+    if (origins.length === 0) return;
+
+    await context.addInitScript((savedOrigins) => {
+        const saved = savedOrigins.find(origin => origin.origin === window.location.origin);
+        // Only once per tab, later navigations must keep what the app wrote since
+        if (!saved || window.sessionStorage.getItem('__sessionhog_restored')) return;
+        saved.localStorage.forEach(({ name, value }) => window.localStorage.setItem(name, value));
+        window.sessionStorage.setItem('__sessionhog_restored', '1');
+    }, origins);
+}
@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { createRuntime, loadEnv } from './runtime.js';
+import { journeys, loadJourneys } from './journeys/index.js';
+import { PERSONAS } from './personas.js';
+import { DEVICE_TYPES } from '../tools/randomBrowser.js';
+import { findCity } from '../tools/randomGeolocation.js';
+import { configureLogger } from '../tools/logger.js';
+
+// A function, so the journey list includes JOURNEYS_DIR once it's loaded
+const usage = () => `Usage: sessionhog run [options]
+
+Runs a small batch of sessions with the shared job runner and prints the results.
+Exits with status 1 if any session fails.
+
+Options:
+  -c, --count <n>          Number of sessions to run (default: 1)
+  -j, --journey <name>     Journey to run (${[...journeys.keys()].join(', ')})
+  -p, --persona <name>     Persona to use (${PERSONAS.map(p => p.name).join(', ')})
+  -d, --device <type>      Device type (${Object.values(DEVICE_TYPES).join(', ')})
+  -g, --geo <city>         City to run from, e.g. London
+  -t, --target <name>      Target to run against (see TARGETS), weighted random if not given
+  -s, --seed <seed>        Seed to reproduce an earlier run
+      --concurrency <n>    Sessions to run at once (default: 1)
+      --provider <name>    Browser provider (browserbase, local), overrides BROWSER_PROVIDER
+      --headed             Show the browser window (local provider only)
+      --trace              Keep a Playwright trace for failed sessions
+      --fast-typing        Fill form fields instantly instead of typing them, for smoke runs
+  -h, --help               Show this help`;
+
+const OPTIONS = {
+    count: { type: 'string', short: 'c', default: '1' },
+    journey: { type: 'string', short: 'j' },
+    persona: { type: 'string', short: 'p' },
+    device: { type: 'string', short: 'd' },
+    geo: { type: 'string', short: 'g' },
+    target: { type: 'string', short: 't' },
+    seed: { type: 'string', short: 's' },
+    concurrency: { type: 'string', default: '1' },
+    provider: { type: 'string' },
+    headed: { type: 'boolean', default: false },
+    trace: { type: 'boolean', default: false },
+    'fast-typing': { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+function fail(message) {
+    console.error(`Error: ${message}\n\n${usage()}`);
+    process.exit(2);
+}
+
+function parsePositiveInt(value, name) {
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        fail(`--${name} must be a positive integer`);
+    }
+    return parsed;
+}
+
+function printResults(job, sessions) {
+    const rows = sessions.map(session => ({
+        '#': String(session.sessionNumber),
+        attempts: String(session.attempt || 1),
+        status: session.success
+            ? (session.abandonedAt ? `left at ${session.abandonedAt}` : 'ok')
+            : session.cancelled ? 'cancelled' : 'FAILED',
+        persona: session.persona || '-',
+        journey: session.journey || '-',
+        device: session.deviceType || '-',
+        geo: session.geo?.city || '-',
+        target: session.target || '-',
+        duration: session.durationMs !== undefined ? `${(session.durationMs / 1000).toFixed(1)}s` : '-',
+        seed: String(session.seed),
+        'replay / error': session.success
+            ? session.replayUrl || session.replayId || '-'
+            : `${session.failedStep ? `[${session.failedStep}] ` : ''}${session.error || ''}`
+    }));
+
+    const columns = Object.keys(rows[0] || {});
+    const widths = columns.map(column =>
+        Math.max(column.length, ...rows.map(row => row[column].length))
+    );
+    const formatRow = (values) => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+    console.log('');
+    if (rows.length > 0) {
+        console.log(formatRow(columns));
+        console.log(formatRow(widths.map(width => '-'.repeat(width))));
+        rows.forEach(row => console.log(formatRow(columns.map(column => row[column]))));
+        console.log('');
+    }
+
+    const withArtifacts = sessions.filter(session => session.artifactsDir);
+    if (withArtifacts.length > 0) {
+        console.log('Diagnostics:');
+        withArtifacts.forEach(session => console.log(`  #${session.sessionNumber}: ${session.artifactsDir}`));
+        console.log('');
+    }
+    console.log(
+        `Job ${job.id} (seed ${job.seed}): ${job.completedSessions}/${job.totalSessions} succeeded ` +
+        `(${job.abandonedSessions} abandoned), ` +
+        `${job.failedSessions} failed, ${job.retriedAttempts} retried, status ${job.status}`
+    );
+}
+
+async function run(values) {
+    const count = parsePositiveInt(values.count, 'count');
+    const concurrency = parsePositiveInt(values.concurrency, 'concurrency');
+
+    if (values.journey && !journeys.has(values.journey)) {
+        fail(`Unknown journey "${values.journey}"`);
+    }
+    if (values.persona && !PERSONAS.some(p => p.name === values.persona)) {
+        fail(`Unknown persona "${values.persona}"`);
+    }
+    if (values.device && !Object.values(DEVICE_TYPES).includes(values.device)) {
+        fail(`Unknown device "${values.device}"`);
+    }
+    if (values.geo) {
+        try {
+            findCity(values.geo);
+        } catch (error) {
+            fail(error.message);
+        }
+    }
+
+    const env = {
+        ...process.env,
+        ...(values.provider && { BROWSER_PROVIDER: values.provider }),
+        ...(values.headed && { HEADLESS: 'false' }),
+        ...(values.trace && { CAPTURE_TRACES: 'true' }),
+        ...(values['fast-typing'] && { TYPING_MODE: 'fast' })
+    };
+
+    let runtime;
+    try {
+        runtime = await createRuntime(env);
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+
+    if (values.target && !runtime.targets.some(t => t.name === values.target)) {
+        fail(`Unknown target "${values.target}"`);
+    }
+
+    const { job, sessions } = await runtime.runner.runJob('cli', {
+        sessionCount: count,
+        maxConcurrent: concurrency,
+        journey: values.journey,
+        persona: values.persona,
+        device: values.device,
+        geo: values.geo,
+        target: values.target,
+        seed: values.seed
+    });
+
+    printResults(job, sessions);
+    return job.status === 'completed' && job.failedSessions === 0 ? 0 : 1;
+}
+
+// Load environment variables
+loadEnv();
+
+// Session logs are read by a person here, so default to readable lines instead of JSON
+if (!process.env.LOG_FORMAT) {
+    configureLogger({ ...process.env, LOG_FORMAT: 'pretty' });
+}
+
+try {
+    await loadJourneys();
+} catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+}
+
+let parsed;
+try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+} catch (error) {
+    fail(error.message);
+}
+
+const { values, positionals } = parsed;
+const [command] = positionals;
+
+if (values.help || !command) {
+    console.log(usage());
+    process.exit(values.help ? 0 : 2);
+}
+
+if (command !== 'run') {
+    fail(`Unknown command "${command}"`);
+}
+
+run(values)
+    .then(exitCode => process.exit(exitCode))
+    .catch(error => {
+        console.error('sessionhog failed:', error);
+        process.exit(1);
+    });
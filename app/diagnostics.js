@@ -0,0 +1,112 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../tools/logger.js';
+
+/**
+ * Failure diagnostics for a browser session.
+ *
+ * Console output is collected for the whole session; when the session fails,
+ * a screenshot, the page HTML, the console log, an error summary and (when
+ * tracing is on) a Playwright trace are written to the session's artifact
+ * directory. Successful sessions write nothing.
+ */
+
+// Keep long sessions with chatty pages from growing the console buffer without bound
+const MAX_CONSOLE_ENTRIES = 1000;
+
+/**
+ * Starts collecting diagnostics for a session
+ * @param {Object} session - Browser session from browser_providers.js
+ * @param {Object} options
+ * @param {string} options.dir - Artifact directory for this session, created on capture
+ * @param {boolean} [options.trace] - Record a Playwright trace (screenshots and DOM snapshots)
+ * @returns {Promise<{capture: function(Error): Promise<Array<string>>, stop: function(): Promise<void>}>}
+ */
+export async function startDiagnostics(session, { dir, trace = false }) {
+    const { page, context } = session;
+    const consoleEntries = [];
+    let droppedEntries = 0;
+
+    const record = (entry) => {
+        if (consoleEntries.length < MAX_CONSOLE_ENTRIES) {
+            consoleEntries.push(`[${new Date().toISOString()}] ${entry}`);
+        } else {
+            droppedEntries++;
+        }
+    };
+
+    page.on('console', message => record(`${message.type()}: ${message.text()}`));
+    page.on('pageerror', error => record(`pageerror: ${error.message}`));
+    page.on('requestfailed', request =>
+        record(`requestfailed: ${request.method()} ${request.url()} ${request.failure()?.errorText || ''}`)
+    );
+
+    let tracing = false;
+    if (trace) {
+        try {
+            await context.tracing.start({ screenshots: true, snapshots: true });
+            tracing = true;
+        } catch (error) {
+            logger.warn('Could not start Playwright tracing, continuing without a trace', { error: error.message });
+        }
+    }
+
+    return {
+        /**
+         * Writes the failure artifacts, skipping any that can't be captured
+         * @param {Error} error - The error that failed the session
+         * @returns {Promise<Array<string>>} File names written to the artifact directory
+         */
+        async capture(error) {
+            await fs.mkdir(dir, { recursive: true });
+            const files = [];
+            const attempt = async (file, write) => {
+                try {
+                    await write(path.join(dir, file));
+                    files.push(file);
+                } catch (captureError) {
+                    logger.warn('Could not capture diagnostic artifact', { file, error: captureError.message });
+                }
+            };
+
+            const pageOpen = !page.isClosed();
+            if (pageOpen) {
+                await attempt('screenshot.png', file => page.screenshot({ path: file, fullPage: true, timeout: 15000 }));
+                await attempt('page.html', async file => fs.writeFile(file, await page.content()));
+            }
+
+            const consoleLog = droppedEntries > 0
+                ? [...consoleEntries, `... ${droppedEntries} more entries dropped`]
+                : consoleEntries;
+            await attempt('console.log', file => fs.writeFile(file, consoleLog.map(line => `${line}\n`).join('')));
+
+            if (tracing) {
+                tracing = false;
+                await attempt('trace.zip', file => context.tracing.stop({ path: file }));
+            }
+
+            await attempt('error.json', file => fs.writeFile(file, JSON.stringify({
+                step: error.step || null,
+                message: error.message,
+                url: pageOpen ? page.url() : null,
+                capturedAt: new Date().toISOString()
+            }, null, 2)));
+
+            return files;
+        },
+
+        /**
+         * Discards the trace of a session that didn't fail
+         * @returns {Promise<void>}
+         */
+        async stop() {
+            if (!tracing) return;
+            tracing = false;
+            try {
+                await context.tracing.stop();
+            } catch (error) {
+                // The browser may already be gone, there's nothing to keep anyway
+            }
+        }
+    };
+}
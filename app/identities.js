@@ -0,0 +1,97 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createWriteQueue } from './write_queue.js';
+
+/**
+ * Identity settings for generated sign-ups: email domain pools (EMAIL_DOMAINS)
+ * and an optional registry (UNIQUE_IDENTITIES) that remembers every username
+ * and email handed out, across runs, so generated identities never collide
+ * with an account an earlier session created.
+ *
+ * The registry is stored as one JSON line per identity ({ username, email, claimedAt }),
+ * loaded once at startup and appended to as identities are claimed.
+ */
+
+/**
+ * Creates a registry backed by a JSON lines file
+ * @param {string} file - Registry file, created on first claim
+ * @returns {Promise<{isTaken: function(string): boolean, claim: function(Object): Promise<void>}>}
+ */
+export async function createIdentityRegistry(file) {
+    const taken = new Set();
+    const enqueueWrite = createWriteQueue();
+
+    try {
+        const contents = await fs.readFile(file, 'utf8');
+        contents
+            .split('\n')
+            .filter(line => line.trim())
+            .forEach(line => {
+                const { username, email } = JSON.parse(line);
+                taken.add(username.toLowerCase());
+                taken.add(email.toLowerCase());
+            });
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    return {
+        /**
+         * @param {string} value - Username or email
+         * @returns {boolean} True if an earlier identity used it
+         */
+        isTaken(value) {
+            return taken.has(value.toLowerCase());
+        },
+
+        /**
+         * Marks an identity as used. The in-memory set updates right away so
+         * concurrent sessions can't pick the same one; the file write is queued.
+         * @param {{username: string, email: string}} identity - Generated identity
+         * @returns {Promise<void>}
+         */
+        claim({ username, email }) {
+            taken.add(username.toLowerCase());
+            taken.add(email.toLowerCase());
+            const line = `${JSON.stringify({ username, email, claimedAt: new Date().toISOString() })}\n`;
+            return enqueueWrite(async () => {
+                await fs.mkdir(path.dirname(file), { recursive: true });
+                await fs.appendFile(file, line);
+            });
+        }
+    };
+}
+
+function parseDomainPools(value) {
+    let pools;
+    try {
+        pools = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`EMAIL_DOMAINS must be valid JSON: ${error.message}`);
+    }
+    const valid = pools && typeof pools === 'object' && !Array.isArray(pools) &&
+        Object.values(pools).every(pool =>
+            pool && typeof pool === 'object' && Object.keys(pool).length > 0 &&
+            Object.values(pool).every(weight => typeof weight === 'number' && weight > 0)
+        );
+    if (!valid) {
+        throw new Error('EMAIL_DOMAINS must map pool names to { "domain": weight } objects with positive weights');
+    }
+    return pools;
+}
+
+/**
+ * Reads identity settings from the environment
+ * @param {Object} env - Environment variables, usually process.env
+ * @param {string} dataDir - Data directory, the registry lives in identities.jsonl there
+ * @returns {Promise<{domainPools: Object|undefined, registry: Object|null}>}
+ * @throws {Error} If EMAIL_DOMAINS is invalid or the registry can't be read
+ */
+export async function loadIdentityOptions(env, dataDir) {
+    return {
+        domainPools: env.EMAIL_DOMAINS ? parseDomainPools(env.EMAIL_DOMAINS) : undefined,
+        registry: env.UNIQUE_IDENTITIES === 'true'
+            ? await createIdentityRegistry(path.join(dataDir, 'identities.jsonl'))
+            : null
+    };
+}
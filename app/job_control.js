@@ -0,0 +1,77 @@
+/**
+ * Cancel and pause signals shared between the job loop and its running sessions.
+ *
+ * - Cancelling stops new sessions from being scheduled and makes in-flight journeys
+ *   throw at their next step boundary (see checkpoint()), so their browser sessions
+ *   are still released by runSession's cleanup.
+ * - Pausing only holds back new sessions; in-flight sessions run to completion so
+ *   their browser sessions aren't left idling against provider timeouts.
+ */
+
+export const JOB_CANCELLED = 'JOB_CANCELLED';
+
+/**
+ * @param {Error} error - Any error
+ * @returns {boolean} True if the error was raised because the job was cancelled
+ */
+export function isCancellation(error) {
+    return error?.code === JOB_CANCELLED;
+}
+
+export function createJobControl() {
+    let cancelled = false;
+    let paused = false;
+    let waiters = [];
+
+    const wake = () => {
+        waiters.forEach(resolve => resolve());
+        waiters = [];
+    };
+
+    return {
+        get cancelled() {
+            return cancelled;
+        },
+
+        get paused() {
+            return paused;
+        },
+
+        cancel() {
+            cancelled = true;
+            paused = false;
+            wake();
+        },
+
+        pause() {
+            if (!cancelled) paused = true;
+        },
+
+        resume() {
+            paused = false;
+            wake();
+        },
+
+        /**
+         * Resolves once the job isn't paused, or immediately if it isn't
+         * @returns {Promise<void>}
+         */
+        async waitWhilePaused() {
+            while (paused && !cancelled) {
+                await new Promise(resolve => waiters.push(resolve));
+            }
+        },
+
+        /**
+         * Called between journey steps, throws once the job has been cancelled
+         * @throws {Error} With code JOB_CANCELLED
+         */
+        checkpoint() {
+            if (cancelled) {
+                const error = new Error('Job cancelled');
+                error.code = JOB_CANCELLED;
+                throw error;
+            }
+        }
+    };
+}
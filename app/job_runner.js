@@ -0,0 +1,313 @@
+import { randomUUID } from 'crypto';
+import { runSession } from './session_helpers.js';
+import { createRandom, deriveSeed, generateSeed } from '../tools/random.js';
+import { createJobControl } from './job_control.js';
+import { retryDelay } from './retry.js';
+import { logger, withLogContext } from '../tools/logger.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Random delay between session starts (2-5 seconds)
+function staggerDelay(random = Math.random) {
+    return sleep(Math.floor(random() * (5000 - 2000 + 1)) + 2000);
+}
+
+/**
+ * Creates the job runner shared by the sessions server and the cron service.
+ *
+ * A job runs `sessionCount` sessions through a bounded worker pool, keeps
+ * running totals and errors in its stats, persists every session result and
+ * holds a lock so only one job runs at a time. Sessions that fail for
+ * transient reasons are retried with backoff, every attempt is persisted.
+ *
+ * @param {Object} options
+ * @param {Object} options.provider - Browser provider from browser_providers.js
+ * @param {Array<Object>} options.targets - Hogflix targets from targets.js
+ * @param {Object} options.jobStore - Job store from job_store.js
+ * @param {number} [options.maxConcurrentLimit] - Upper bound for concurrent sessions
+ * @param {boolean} [options.captureTraces] - Record a Playwright trace per session, kept for failures
+ * @param {Object} [options.metrics] - Metrics recorder from metrics.js
+ * @param {Object} [options.retryPolicy] - Retry policy from retry.js, no retries if not given
+ * @param {Object} [options.reporter] - Session reporter, e.g. from posthog_reporter.js
+ * @param {Object} [options.notifier] - Webhook notifier from webhooks.js
+ * @param {Object} [options.identity] - Identity settings from identities.js ({ domainPools, registry })
+ * @param {Object} [options.accounts] - Account pool settings from account_pool.js ({ pool, returningRate })
+ * @param {Object} [options.abandonment] - Funnel drop-off settings from abandonment.js, nobody abandons if not given
+ * @param {Object} [options.mistakes] - Form mistake rates from mistakes.js, nobody makes mistakes if not given
+ * @param {string} [options.typingMode] - 'natural' types form fields key by key, 'fast' fills them instantly
+ */
+export function createJobRunner({
+    provider,
+    targets,
+    jobStore,
+    maxConcurrentLimit = 5,
+    captureTraces = false,
+    metrics,
+    retryPolicy = { maxAttempts: 1, baseDelayMs: 0, maxDelayMs: 0 },
+    reporter,
+    notifier,
+    identity,
+    accounts,
+    abandonment,
+    mistakes,
+    typingMode = 'natural'
+}) {
+    // Add a lock mechanism to prevent multiple instances from running the same job
+    let isJobRunning = false;
+    let currentJobControl = null;
+    let currentJobStats = {
+        startTime: null,
+        completedSessions: 0,
+        totalSessions: 0,
+        errors: []
+    };
+
+    // Persistence problems are logged but never stop a running job
+    async function persist(description, write) {
+        try {
+            await write();
+        } catch (error) {
+            logger.warn('Failed to persist job data', { description, error: error.message });
+        }
+    }
+
+    /**
+     * Runs a job to completion
+     * @param {string} type - Job type for logs and history, e.g. 'on-demand', 'scheduled', 'cron'
+     * @param {Object} [options]
+     * @param {string} [options.jobId] - Job ID, generated if not given
+     * @param {number} [options.sessionCount] - Sessions to run, random 23-52 if not given
+     * @param {number} [options.maxConcurrent] - Sessions to keep in flight at once
+     * @param {number|string} [options.seed] - Job seed, generated if not given
+     * @param {string} [options.journey] - Journey name, weighted random if not given
+     * @param {string} [options.persona] - Persona name, weighted random if not given
+     * @param {string} [options.device] - Device type (desktop, tablet, mobile), persona-driven if not given
+     * @param {string} [options.geo] - City name, persona-driven if not given
+     * @param {string} [options.target] - Target name, weighted random per session if not given
+     * @returns {Promise<{job: Object, sessions: Array<Object>}|null>} Final job record and the
+     *   last attempt of each session ordered by session number, or null if another job is running
+     * @throws {Error} If maxConcurrent is given but isn't a positive integer
+     */
+    async function runJob(type, options = {}) {
+        // A job with no workers would finish as "completed" without running a single session
+        if (options.maxConcurrent !== undefined && !(Number.isInteger(options.maxConcurrent) && options.maxConcurrent >= 1)) {
+            throw new Error('maxConcurrent must be a positive integer');
+        }
+        if (isJobRunning) {
+            logger.info('Another job is already running, skipping this execution', { type });
+            return null;
+        }
+
+        isJobRunning = true;
+        // Every random choice in the job derives from this seed, so a run can be replayed
+        const seed = options.seed ?? generateSeed();
+        const random = createRandom(seed);
+        const control = createJobControl();
+        currentJobControl = control;
+        const sessionCount = options.sessionCount || Math.floor(random() * (52 - 23 + 1)) + 23;
+        const maxConcurrent = Math.min(options.maxConcurrent || 1, maxConcurrentLimit, sessionCount);
+
+        const jobStats = {
+            id: options.jobId || randomUUID(),
+            type,
+            status: 'running',
+            startTime: new Date().toISOString(),
+            endTime: null,
+            seed,
+            journey: options.journey || null,
+            persona: options.persona || null,
+            device: options.device || null,
+            geo: options.geo || null,
+            target: options.target || null,
+            completedSessions: 0,
+            // Part of completedSessions: visitors who left at an abandonment point
+            abandonedSessions: 0,
+            failedSessions: 0,
+            cancelledSessions: 0,
+            retriedAttempts: 0,
+            inFlightSessions: 0,
+            totalSessions: sessionCount,
+            maxConcurrent,
+            errors: []
+        };
+        currentJobStats = jobStats;
+        const jobLogger = logger.child({ jobId: jobStats.id });
+
+        let results = [];
+
+        try {
+            // Results are stored by session number so out-of-order completion doesn't matter
+            results = new Array(sessionCount).fill(null);
+
+            await persist(`job ${jobStats.id}`, () => jobStore.saveJob(jobStats));
+
+            jobLogger.info('Starting job', { type, seed, sessionCount, maxConcurrent });
+
+            // Runs one attempt at a session and records its result
+            const runAttempt = async (sessionNumber, attempt) => {
+                jobStats.inFlightSessions++;
+                metrics?.sessionStarted(type);
+                let result = null;
+                try {
+                    const sessionOptions = {
+                        journey: options.journey,
+                        persona: options.persona,
+                        device: options.device,
+                        geo: options.geo,
+                        target: options.target,
+                        // First attempts keep the seed they had before retries existed
+                        seed: attempt > 1 ? deriveSeed(seed, sessionNumber, attempt) : deriveSeed(seed, sessionNumber),
+                        attempt,
+                        identity,
+                        accounts,
+                        abandonment,
+                        mistakes,
+                        typingMode,
+                        control,
+                        artifactsDir: jobStore.sessionArtifactsDir(jobStats.id, sessionNumber, attempt),
+                        trace: captureTraces
+                    };
+                    // Lines logged by the session carry its job ID and session number
+                    result = await withLogContext(
+                        { jobId: jobStats.id, sessionNumber },
+                        () => runSession(sessionNumber, sessionCount, provider, targets, sessionOptions)
+                    );
+                    result.willRetry = !result.success && result.retryable &&
+                        attempt < retryPolicy.maxAttempts && !control.cancelled;
+                    results[sessionNumber - 1] = result;
+                    if (result.success) {
+                        jobStats.completedSessions++;
+                        if (result.abandonedAt) jobStats.abandonedSessions++;
+                    } else if (result.cancelled) {
+                        jobStats.cancelledSessions++;
+                    } else if (result.willRetry) {
+                        jobStats.retriedAttempts++;
+                    } else {
+                        jobStats.failedSessions++;
+                        jobStats.errors.push({
+                            session: sessionNumber,
+                            attempt,
+                            step: result.failedStep,
+                            error: result.error,
+                            artifactsDir: result.artifactsDir || null
+                        });
+                    }
+                    await persist(`session ${sessionNumber}`, () => jobStore.appendSession(jobStats.id, result));
+                    await reporter?.sessionFinished(result, jobStats);
+                } catch (error) {
+                    jobStats.failedSessions++;
+                    jobStats.errors.push({
+                        session: sessionNumber,
+                        attempt,
+                        error: error.message
+                    });
+                } finally {
+                    jobStats.inFlightSessions--;
+                    metrics?.sessionFinished(result || { success: false });
+                    notifier?.sessionFinished(jobStats);
+                    await persist(`job ${jobStats.id}`, () => jobStore.saveJob(jobStats));
+                }
+                return result;
+            };
+
+            let nextSession = 1;
+
+            // Each worker pulls the next session number until none are left
+            const worker = async (workerIndex) => {
+                // Stagger the initial start of each worker
+                for (let i = 0; i < workerIndex; i++) {
+                    await staggerDelay(random);
+                }
+
+                while (nextSession <= sessionCount) {
+                    await control.waitWhilePaused();
+                    if (control.cancelled) break;
+
+                    const sessionNumber = nextSession++;
+
+                    // Transient failures are retried in the same slot, so the job still
+                    // reaches the requested number of successful sessions
+                    for (let attempt = 1; ; attempt++) {
+                        const result = await runAttempt(sessionNumber, attempt);
+                        if (!result?.willRetry) break;
+
+                        const delay = retryDelay(retryPolicy, attempt, random);
+                        jobLogger.warn('Retrying session after a transient failure', {
+                            sessionNumber,
+                            attempt,
+                            delayMs: delay,
+                            error: result.error
+                        });
+                        metrics?.sessionRetried();
+                        await sleep(delay);
+                        await control.waitWhilePaused();
+                        if (control.cancelled) {
+                            jobStats.cancelledSessions++;
+                            break;
+                        }
+                    }
+
+                    // Add a random delay before this worker starts its next session
+                    if (nextSession <= sessionCount && !control.cancelled) {
+                        await staggerDelay(random);
+                    }
+                }
+            };
+
+            await Promise.all(
+                Array.from({ length: maxConcurrent }, (_, workerIndex) => worker(workerIndex))
+            );
+
+            // Final statistics
+            jobLogger.info('Job finished', {
+                completedSessions: jobStats.completedSessions,
+                failedSessions: jobStats.failedSessions,
+                cancelledSessions: jobStats.cancelledSessions,
+                retriedAttempts: jobStats.retriedAttempts,
+                totalSessions: sessionCount
+            });
+            jobStats.status = control.cancelled ? 'cancelled' : 'completed';
+        } catch (error) {
+            jobLogger.error('Job failed', { error });
+            jobStats.status = 'failed';
+            jobStats.errors.push({
+                session: 'global',
+                error: error.message
+            });
+        } finally {
+            jobStats.endTime = new Date().toISOString();
+            await persist(`job ${jobStats.id}`, () => jobStore.saveJob(jobStats));
+            await notifier?.jobFinished(jobStats);
+            currentJobControl = null;
+            isJobRunning = false;
+        }
+
+        return { job: jobStats, sessions: results.filter(Boolean) };
+    }
+
+    return {
+        runJob,
+        maxConcurrentLimit,
+
+        get isJobRunning() {
+            return isJobRunning;
+        },
+
+        get currentJob() {
+            return currentJobStats;
+        },
+
+        // Cancel/pause signals for the running job, null when idle
+        get currentControl() {
+            return currentJobControl;
+        },
+
+        /**
+         * Writes the running job's latest stats, e.g. after a status change
+         * @returns {Promise<void>}
+         */
+        saveCurrentJob() {
+            return persist(`job ${currentJobStats.id}`, () => jobStore.saveJob(currentJobStats));
+        }
+    };
+}
@@ -0,0 +1,140 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createWriteQueue } from './write_queue.js';
+
+/**
+ * File-backed store for job history and per-session results.
+ *
+ * Layout under the data directory:
+ * - jobs/<jobId>.json            latest snapshot of the job record
+ * - jobs/<jobId>.sessions.jsonl  one session result per line, in completion order
+ * - artifacts/<jobId>/session-<n>/  failure diagnostics (screenshot, HTML, console log, trace),
+ *                                    with an -attempt-<n> suffix for retried attempts
+ *
+ * Writes are serialized through a single queue so concurrent sessions can't
+ * interleave partial lines or race on the job snapshot.
+ */
+
+const JOB_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Creates a job store rooted at the given directory
+ * @param {string} dataDir - Directory to keep job files in, created on first write
+ */
+export function createJobStore(dataDir) {
+    const jobsDir = path.join(dataDir, 'jobs');
+    const artifactsDir = path.join(dataDir, 'artifacts');
+    const enqueueWrite = createWriteQueue();
+
+    const jobFile = (jobId) => path.join(jobsDir, `${jobId}.json`);
+    const sessionsFile = (jobId) => path.join(jobsDir, `${jobId}.sessions.jsonl`);
+
+    const enqueue = (write) => enqueueWrite(async () => {
+        await fs.mkdir(jobsDir, { recursive: true });
+        await write();
+    });
+
+    const readJson = async (file) => {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    };
+
+    return {
+        /**
+         * Directory for a session's failure diagnostics, written by diagnostics.js
+         * @param {string} jobId - Job ID
+         * @param {number} sessionNumber - Session number within the job
+         * @param {number} [attempt] - Attempt number, 1 for the first run of the session
+         * @returns {string|null} Directory path, or null for an invalid job ID
+         */
+        sessionArtifactsDir(jobId, sessionNumber, attempt = 1) {
+            if (!JOB_ID_PATTERN.test(jobId) || !Number.isInteger(sessionNumber) || !Number.isInteger(attempt)) {
+                return null;
+            }
+            const name = attempt > 1 ? `session-${sessionNumber}-attempt-${attempt}` : `session-${sessionNumber}`;
+            return path.join(artifactsDir, jobId, name);
+        },
+
+        /**
+         * Writes the latest snapshot of a job record
+         * @param {Object} job - Job record, must have an `id`
+         */
+        saveJob(job) {
+            return enqueue(async () => {
+                const file = jobFile(job.id);
+                const tmpFile = `${file}.tmp`;
+                await fs.writeFile(tmpFile, JSON.stringify(job, null, 2));
+                await fs.rename(tmpFile, file);
+            });
+        },
+
+        /**
+         * Appends one session result to a job's session log
+         * @param {string} jobId - Job ID
+         * @param {Object} session - Session result
+         */
+        appendSession(jobId, session) {
+            return enqueue(() => fs.appendFile(sessionsFile(jobId), `${JSON.stringify(session)}\n`));
+        },
+
+        /**
+         * @param {string} jobId - Job ID
+         * @returns {Promise<Object|null>} Job record, or null if unknown
+         */
+        async getJob(jobId) {
+            if (!JOB_ID_PATTERN.test(jobId)) return null;
+            return readJson(jobFile(jobId));
+        },
+
+        /**
+         * Lists jobs, most recently started first
+         * @param {Object} [options]
+         * @param {number} [options.limit] - Maximum number of jobs to return
+         * @returns {Promise<Array<Object>>} Job records
+         */
+        async listJobs({ limit = 50 } = {}) {
+            let files;
+            try {
+                files = await fs.readdir(jobsDir);
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+
+            const jobs = await Promise.all(
+                files
+                    .filter(file => file.endsWith('.json'))
+                    .map(file => readJson(path.join(jobsDir, file)))
+            );
+            return jobs
+                .filter(Boolean)
+                .sort((a, b) => (b.startTime || '').localeCompare(a.startTime || ''))
+                .slice(0, limit);
+        },
+
+        /**
+         * @param {string} jobId - Job ID
+         * @returns {Promise<Array<Object>|null>} Session results including retried attempts,
+         *   or null if the job is unknown
+         */
+        async listSessions(jobId) {
+            if (!JOB_ID_PATTERN.test(jobId)) return null;
+            try {
+                const contents = await fs.readFile(sessionsFile(jobId), 'utf8');
+                return contents
+                    .split('\n')
+                    .filter(line => line.trim())
+                    .map(line => JSON.parse(line))
+                    .sort((a, b) => a.sessionNumber - b.sessionNumber || (a.attempt || 1) - (b.attempt || 1));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                // A job with no finished sessions yet has no session log
+                return (await this.getJob(jobId)) ? [] : null;
+            }
+        }
+    };
+}
@@ -0,0 +1,431 @@
+import {
+    naturalClick,
+    naturalScroll,
+    naturalType,
+    readPage,
+    humanPause,
+    randomNumber
+} from '../tools/mouseMove.js';
+import { isCancellation } from './job_control.js';
+import { PLANS } from './personas.js';
+import { createAbandonment, isAbandonment } from './abandonment.js';
+import { buildTargetUrl, targetPath } from './targets.js';
+import { logger, withLogContext } from '../tools/logger.js';
+
+/**
+ * A journey is plain data: { name, description, weight, steps: [...] }, plus
+ * - audience: 'new' (default) for first-time visitors, or 'returning' for journeys
+ *   run as a saved account from the account pool
+ * - createsAccount: true when a successful run leaves behind an account worth saving, or the
+ *   name of the step that creates it, so sessions abandoned after that step still save it
+ * - plan: plan name (FREE, PREMIUM, MAX-IMAL) new visitors sign up on instead of the
+ *   persona's pick, e.g. a journey that upgrades later starts on FREE. The session's
+ *   {{newPlan}} is then another plan for changePlanSteps to switch to, recorded as the
+ *   account's plan only once their `plan-changed` assertion passes
+ *
+ * Every step has a `type` plus optional fields shared by all steps:
+ * - name: label used in logs
+ * - probability: chance (0-1) that the step runs at all, defaults to 1
+ * - probabilityFrom: context path (e.g. "persona.adultCheckboxRate") that overrides
+ *   `probability` when the session context has a value there
+ * - optional: when true, a failing step is logged and the journey continues
+ * Each type also needs its own fields (see REQUIRED_STEP_FIELDS), which validateJourney
+ * checks when journeys load along with `plan` and `createsAccount`.
+ *
+ * String values may reference the session context with {{path.to.value}},
+ * e.g. "{{user.username}}" or "button:has-text(\"SELECT {{plan.name}}\")".
+ */
+
+const TEMPLATE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+function lookup(context, keyPath) {
+    return keyPath.split('.').reduce((value, key) => value?.[key], context);
+}
+
+/**
+ * Replaces {{path}} placeholders in a string with values from the context
+ * @param {string} value - Template string
+ * @param {Object} context - Session context
+ * @returns {string} Resolved string, missing values become ''
+ */
+export function resolveTemplate(value, context) {
+    if (typeof value !== 'string') return value;
+    return value.replace(TEMPLATE_PATTERN, (_, keyPath) => {
+        const resolved = lookup(context, keyPath);
+        return resolved === undefined || resolved === null ? '' : String(resolved);
+    });
+}
+
+// `page` goes through the target's path map, `path` is used as-is
+function buildUrl(step, context) {
+    const path = step.page
+        ? targetPath(context.target, step.page)
+        : resolveTemplate(step.path || '', context);
+    const query = Object.entries(step.query || {})
+        .map(([key, value]) => [key, resolveTemplate(value, context)])
+        .filter(([, value]) => value !== '');
+
+    return buildTargetUrl(context.target, path, query);
+}
+
+// Types through the keystroke model when the session has a typing profile (so not in
+// fast mode) unless the step says `natural: false`. `paste: true` fields, such as
+// passwords, are pasted at the profile's pasteRate.
+async function fillField(page, step, context) {
+    const value = resolveTemplate(step.value, context);
+    if (context.typing && step.natural !== false) {
+        const field = step.label ? page.getByLabel(step.label) : resolveTemplate(step.selector, context);
+        await naturalType(page, field, value, {
+            random: context.random,
+            typing: context.typing,
+            touch: context.touch,
+            paste: Boolean(step.paste) && context.random() < context.typing.pasteRate
+        });
+    } else if (step.label) {
+        await page.getByLabel(step.label).fill(value);
+    } else {
+        await page.fill(resolveTemplate(step.selector, context), value);
+    }
+}
+
+// Text of the first element matching the selector, or null if there is none
+function readText(page, selector) {
+    return page.evaluate((sel) => {
+        const element = document.querySelector(sel);
+        return element ? element.textContent.trim() : null;
+    }, selector);
+}
+
+/**
+ * Step implementations keyed by step type. Each receives (page, step, context).
+ */
+const STEP_HANDLERS = {
+    async navigate(page, step, context) {
+        await page.goto(buildUrl(step, context), {
+            waitUntil: step.waitUntil || 'networkidle',
+            ...(step.timeout && { timeout: step.timeout })
+        });
+    },
+
+    async waitFor(page, step, context) {
+        await page.waitForSelector(resolveTemplate(step.selector, context), {
+            state: step.state || 'visible',
+            ...(step.timeout && { timeout: step.timeout })
+        });
+    },
+
+    // Clicks an element only if it shows up, e.g. the GitHub Codespaces "Continue" interstitial
+    async clickIfPresent(page, step, context) {
+        try {
+            const element = await page.waitForSelector(resolveTemplate(step.selector, context), {
+                timeout: step.timeout || 5000
+            });
+            if (element) {
+                await element.click();
+                await page.waitForLoadState(step.waitUntil || 'networkidle');
+            }
+        } catch (error) {
+            // Element wasn't found or wasn't needed, continue with normal flow
+        }
+    },
+
+    async fill(page, step, context) {
+        await fillField(page, step, context);
+    },
+
+    async press(page, step) {
+        await page.keyboard.press(step.key);
+    },
+
+    // Taps on touch devices. `clicks` > 1 keeps clicking in place, quickly enough
+    // to count as a rage click
+    async naturalClick(page, step, context) {
+        const selector = resolveTemplate(step.selector, context);
+        const press = () => context.touch
+            ? context.touch.tap(selector)
+            : naturalClick(page, selector, { random: context.random });
+        if (step.waitUntil) {
+            await Promise.all([page.waitForLoadState(step.waitUntil), press()]);
+        } else {
+            await press();
+        }
+        for (let i = 1; i < (step.clicks || 1); i++) {
+            await page.waitForTimeout(randomNumber(80, 200, context.random));
+            if (context.touch) {
+                await context.touch.tap(selector);
+            } else {
+                await page.mouse.down();
+                await page.mouse.up();
+            }
+        }
+    },
+
+    async click(page, step, context) {
+        const selector = resolveTemplate(step.selector, context);
+        await (context.touch ? context.touch.tap(selector) : page.click(selector));
+    },
+
+    // Swipes on touch devices
+    async scroll(page, step, context) {
+        let target = step.to;
+        if (target === 'bottom') {
+            target = await page.evaluate(() => document.body.scrollHeight);
+        } else if (target === 'top') {
+            target = 0;
+        }
+        if (context.touch) {
+            await context.touch.swipeScroll(target);
+        } else {
+            await naturalScroll(page, target, { random: context.random });
+        }
+    },
+
+    // Reads for the persona's reading time times `scale`, hovering over `hover` cards
+    // with the mouse. Each read lands in context.pagesRead
+    async read(page, step, context) {
+        const reading = await readPage(page, {
+            random: context.random,
+            reading: context.reading,
+            scale: step.scale ?? 1,
+            hover: step.hover && resolveTemplate(step.hover, context),
+            touch: context.touch
+        });
+        context.pagesRead?.push({ step: step.name || step.type, ...reading });
+    },
+
+    // Touch-only gestures, skipped on devices without touch
+    async pinch(page, step, context) {
+        await context.touch?.pinch(step.selector && resolveTemplate(step.selector, context));
+    },
+
+    async longPress(page, step, context) {
+        await context.touch?.longPress(resolveTemplate(step.selector, context));
+    },
+
+    async pause(page, step, context) {
+        await humanPause(page, step.duration || 'SHORT', { ...step, random: context.random });
+    },
+
+    // Fails the journey if `absent` is on the page or `present` is missing
+    async assert(page, step, context) {
+        if (step.absent) {
+            const selector = resolveTemplate(step.absent, context);
+            const text = await readText(page, selector);
+            if (text !== null) {
+                throw new Error(`${step.message || `Unexpected ${selector}`}: ${text}`);
+            }
+        }
+        if (step.present) {
+            const selector = resolveTemplate(step.present, context);
+            const count = await page.locator(selector).count();
+            if (count === 0) {
+                throw new Error(step.message || `Expected ${selector} to be present`);
+            }
+        }
+    },
+
+    // Notes an error alert (e.g. a failed login) instead of failing on it. With `retry`,
+    // those steps run once and the step fails if the alert is still there afterwards.
+    async checkAlert(page, step, context) {
+        const selector = resolveTemplate(step.selector || '.alert-error', context);
+        const text = await readText(page, selector);
+        if (text === null) return;
+
+        logger.info('Form error shown', { selector, message: text });
+        context.formErrors?.push({ step: step.name || step.type, message: text });
+        if (!step.retry) return;
+
+        await runSteps(page, step.retry, context);
+        const retryText = await readText(page, selector);
+        if (retryText !== null) {
+            throw new Error(`${step.message || `Unexpected ${selector}`}: ${retryText}`);
+        }
+    },
+
+    // Closes a modal if it's visible, removing it from the DOM when there's no close button
+    async dismissModal(page, step, context) {
+        const modalVisible = await page.evaluate((selector) => {
+            const modal = document.querySelector(selector);
+            return Boolean(modal) && window.getComputedStyle(modal).display !== 'none';
+        }, step.modal);
+
+        if (!modalVisible) return;
+
+        logger.info('Modal detected, attempting to close');
+        try {
+            if (context.touch) {
+                await context.touch.tap(await page.waitForSelector(step.close, { timeout: 5000 }));
+            } else {
+                await page.click(step.close, { timeout: 5000 });
+            }
+            await humanPause(page, 'SHORT', { random: context.random });
+        } catch (e) {
+            logger.info('Could not find close button, removing modal programmatically');
+            await page.evaluate((selectors) => {
+                selectors.forEach(selector => document.querySelector(selector)?.remove());
+                document.body.classList.remove('modal-open');
+            }, step.remove || [step.modal]);
+        }
+    },
+
+    // Runs nested steps together, so one probability roll covers all of them
+    async group(page, step, context) {
+        await runSteps(page, step.steps, context);
+    },
+
+    // Ends the journey here, as a visitor who leaves. Usually paired with
+    // probabilityFrom: 'abandonment.<point>', see abandonment.js
+    async abandon(page, step) {
+        throw createAbandonment(step.point || step.name || 'unknown');
+    }
+};
+
+export const STEP_TYPES = Object.keys(STEP_HANDLERS);
+
+export const JOURNEY_AUDIENCES = ['new', 'returning'];
+
+// Fields each step type can't run without; an array lists fields where any one will do
+const REQUIRED_STEP_FIELDS = {
+    navigate: [['page', 'path']],
+    waitFor: ['selector'],
+    clickIfPresent: ['selector'],
+    fill: [['label', 'selector'], 'value'],
+    press: ['key'],
+    naturalClick: ['selector'],
+    click: ['selector'],
+    scroll: ['to'],
+    longPress: ['selector'],
+    assert: [['present', 'absent']],
+    dismissModal: ['modal'],
+    group: ['steps']
+};
+
+async function runSteps(page, steps, context) {
+    for (const step of steps) {
+        // Step boundary: stop here if the job was cancelled
+        context.control?.checkpoint();
+
+        const probability = (step.probabilityFrom && lookup(context, step.probabilityFrom)) ??
+            step.probability ?? 1;
+        if (probability < 1 && context.random() >= probability) {
+            continue;
+        }
+
+        const stepName = step.name || step.type;
+        // Recorded when the step starts so nested group steps follow their group
+        const record = { name: stepName, type: step.type, startTime: new Date().toISOString() };
+        context.stepLog?.push(record);
+        const startedAt = Date.now();
+        try {
+            // Lines logged while the step runs carry its name
+            await withLogContext({ step: stepName }, () => STEP_HANDLERS[step.type](page, step, context));
+            record.status = 'ok';
+            logger.debug('Step completed', { step: stepName, durationMs: Date.now() - startedAt });
+        } catch (error) {
+            if (isAbandonment(error)) {
+                // Not a failure, and optional groups mustn't swallow it
+                record.status = 'abandoned';
+                throw error;
+            }
+            record.status = isCancellation(error) ? 'cancelled' : 'failed';
+            record.error = error.message;
+            if (!step.optional || isCancellation(error)) {
+                // Keep the innermost step name when groups rethrow
+                if (!error.step && !isCancellation(error)) {
+                    error.step = stepName;
+                    error.message = `Step "${stepName}" failed: ${error.message}`;
+                }
+                throw error;
+            }
+            logger.warn('Optional step failed, continuing', { step: stepName, error: error.message });
+        } finally {
+            record.durationMs = Date.now() - startedAt;
+        }
+    }
+}
+
+/**
+ * Checks a journey definition before it's run, so bad data fails at load time
+ * @param {Object} journey - Journey definition
+ * @throws {Error} If the journey or one of its steps is malformed
+ */
+export function validateJourney(journey) {
+    if (!journey?.name) {
+        throw new Error('Journey is missing a name');
+    }
+    if (!Array.isArray(journey.steps) || journey.steps.length === 0) {
+        throw new Error(`Journey "${journey.name}" has no steps`);
+    }
+    if (journey.audience !== undefined && !JOURNEY_AUDIENCES.includes(journey.audience)) {
+        throw new Error(`Journey "${journey.name}" has unknown audience "${journey.audience}", expected one of: ${JOURNEY_AUDIENCES.join(', ')}`);
+    }
+    const planNames = PLANS.map(plan => plan.name);
+    if (journey.plan !== undefined && !planNames.includes(journey.plan)) {
+        throw new Error(`Journey "${journey.name}" has unknown plan "${journey.plan}", expected one of: ${planNames.join(', ')}`);
+    }
+
+    const stepNames = new Set();
+    const validateSteps = (steps) => {
+        for (const step of steps) {
+            const stepName = step.name || step.type;
+            if (!STEP_HANDLERS[step.type]) {
+                throw new Error(
+                    `Journey "${journey.name}" has unknown step type "${step.type}", expected one of: ${STEP_TYPES.join(', ')}`
+                );
+            }
+            for (const field of REQUIRED_STEP_FIELDS[step.type] || []) {
+                const options = [field].flat();
+                if (options.every(option => step[option] === undefined)) {
+                    throw new Error(`Journey "${journey.name}" step "${stepName}" is missing ${options.join(' or ')}`);
+                }
+            }
+            if (step.probability !== undefined && (step.probability < 0 || step.probability > 1)) {
+                throw new Error(`Journey "${journey.name}" step "${stepName}" has a probability outside 0-1`);
+            }
+            if (step.name) {
+                stepNames.add(step.name);
+            }
+            if (step.type === 'group') {
+                if (!Array.isArray(step.steps) || step.steps.length === 0) {
+                    throw new Error(`Journey "${journey.name}" group "${stepName}" has no steps`);
+                }
+                validateSteps(step.steps);
+            }
+            if (step.retry) {
+                validateSteps(step.retry);
+            }
+        }
+    };
+    validateSteps(journey.steps);
+
+    const { createsAccount } = journey;
+    if (createsAccount !== undefined && createsAccount !== true && createsAccount !== false &&
+        !stepNames.has(createsAccount)) {
+        throw new Error(`Journey "${journey.name}" createsAccount must be true or the name of one of its steps, got "${createsAccount}"`);
+    }
+}
+
+/**
+ * Executes a journey's steps against a page
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} journey - Journey definition
+ * @param {Object} context - Session data the steps can reference (user, utm, plan, movie, persona, target)
+ *   plus `random`, the session's random source, `control`, the job's cancel signal, and
+ *   `stepLog`, an array that receives { name, type, startTime, status, durationMs, error } per step run,
+ *   and `formErrors`, an array that receives { step, message } for each alert checkAlert saw,
+ *   and `pagesRead`, an array that receives { step, durationMs, maxScrollPercent } per read step.
+ *   `reading` holds the persona's reading settings (see DEFAULT_READING in tools/mouseMove.js).
+ *   With `touch`, a touch driver from tools/touch.js, clicks become taps and scrolls become swipes.
+ * @returns {Promise<{abandonedAt: string|null}>} The abandonment point if the visitor left early
+ */
+export async function runJourney(page, journey, context) {
+    logger.info('Running journey', { journey: journey.name });
+    try {
+        await runSteps(page, journey.steps, { random: Math.random, ...context });
+    } catch (error) {
+        if (!isAbandonment(error)) throw error;
+        logger.info('Visitor abandoned the journey', { journey: journey.name, point: error.point });
+        return { abandonedAt: error.point };
+    }
+    return { abandonedAt: null };
+}
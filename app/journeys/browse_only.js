@@ -0,0 +1,24 @@
+import { landingSteps, MOVIE_CARDS } from './steps.js';
+
+// Visitor looks around and leaves without creating an account
+export default {
+    name: 'browse-only',
+    description: 'Visitor lands, reads the home page, maybe peeks at signup, then leaves',
+    weight: 20,
+    steps: [
+        ...landingSteps,
+        { name: 'read-home', type: 'read', hover: MOVIE_CARDS, optional: true },
+        { type: 'scroll', to: 'top', probability: 0.5 },
+        {
+            name: 'peek-signup',
+            type: 'group',
+            probability: 0.4,
+            steps: [
+                { type: 'pause', duration: 'SHORT' },
+                { name: 'open-signup', type: 'navigate', page: 'signup' },
+                { name: 'read-signup', type: 'read', scale: 0.5, optional: true },
+                { type: 'pause', duration: 'MEDIUM' }
+            ]
+        }
+    ]
+};
@@ -0,0 +1,17 @@
+import { landingSteps, signupSteps, loginSteps, homeSteps, MOVIE_CARDS } from './steps.js';
+
+// Signs up and logs in once, but never watches anything
+export default {
+    name: 'churn',
+    description: 'New visitor signs up and logs in, glances at the catalogue and leaves without watching',
+    createsAccount: 'submit-signup',
+    weight: 10,
+    steps: [
+        ...landingSteps,
+        ...signupSteps,
+        ...loginSteps,
+        ...homeSteps,
+        { name: 'read-catalogue', type: 'read', hover: MOVIE_CARDS, optional: true },
+        { type: 'pause', duration: 'MEDIUM' }
+    ]
+};
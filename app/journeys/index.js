@@ -0,0 +1,98 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { validateJourney } from '../journey_runner.js';
+import { weightedPick, weightedPickItem } from '../../tools/random.js';
+import signupWatch from './signup_watch.js';
+import browseOnly from './browse_only.js';
+import churn from './churn.js';
+import returningWatch from './returning_watch.js';
+import upgrade from './upgrade.js';
+
+const BUILT_IN_JOURNEYS = [signupWatch, browseOnly, churn, upgrade, returningWatch];
+
+/**
+ * Journeys keyed by name. Holds the built-in journeys until an entry point calls
+ * loadJourneys() after loading .env, which adds the ones from JOURNEYS_DIR.
+ */
+export const journeys = new Map(BUILT_IN_JOURNEYS.map(journey => [journey.name, journey]));
+
+/**
+ * Loads extra journey definitions (.json or .js default exports) from a directory
+ * @param {string} dir - Directory to read
+ * @returns {Promise<Array<Object>>} Journey definitions
+ */
+async function loadJourneyDir(dir) {
+    const files = (await fs.readdir(dir)).filter(file => /\.(json|m?js)$/.test(file)).sort();
+
+    return Promise.all(files.map(async (file) => {
+        const filePath = path.resolve(dir, file);
+        if (file.endsWith('.json')) {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        }
+        return (await import(pathToFileURL(filePath).href)).default;
+    }));
+}
+
+/**
+ * Fills the journey registry with the built-in journeys plus JOURNEYS_DIR, if set.
+ * Journeys from JOURNEYS_DIR replace built-in journeys with the same name.
+ * Call it once at startup, after loadEnv(), so JOURNEYS_DIR can come from .env.
+ * @param {string} [journeysDir] - Directory with additional journey files
+ * @returns {Promise<Map<string, Object>>} Journeys keyed by name
+ * @throws {Error} If a journey file can't be read or a journey is invalid
+ */
+export async function loadJourneys(journeysDir = process.env.JOURNEYS_DIR) {
+    const loaded = [...BUILT_IN_JOURNEYS];
+    if (journeysDir) {
+        loaded.push(...await loadJourneyDir(journeysDir));
+    }
+    loaded.forEach(journey => validateJourney(journey));
+
+    journeys.clear();
+    loaded.forEach(journey => journeys.set(journey.name, journey));
+    return journeys;
+}
+
+/**
+ * Looks up a journey by name
+ * @param {string} name - Journey name
+ * @returns {Object} Journey definition
+ * @throws {Error} If no journey has that name
+ */
+export function getJourney(name) {
+    const journey = journeys.get(name);
+    if (!journey) {
+        throw new Error(`Unknown journey "${name}", expected one of: ${[...journeys.keys()].join(', ')}`);
+    }
+    return journey;
+}
+
+/**
+ * Picks a journey at random among the journeys for an audience. Uses the
+ * target's `journeys` weights if it has any, then the persona's, as long as
+ * they name a known journey for that audience, otherwise each journey's own
+ * `weight` (default 1).
+ * @param {Object} [persona] - Persona definition
+ * @param {function(): number} [random] - Random source, defaults to Math.random
+ * @param {Object} [target] - Target definition
+ * @param {string} [audience] - 'new' or 'returning', see journey_runner.js
+ * @returns {Object} Journey definition
+ * @throws {Error} If no journey is meant for that audience
+ */
+export function pickJourney(persona, random = Math.random, target, audience = 'new') {
+    const candidates = [...journeys.values()].filter(journey => (journey.audience || 'new') === audience);
+    if (candidates.length === 0) {
+        throw new Error(`No journeys for ${audience} users`);
+    }
+
+    const overrides = target?.journeys || persona?.journeys || {};
+    const knownWeights = Object.fromEntries(
+        Object.entries(overrides).filter(([name]) => candidates.some(journey => journey.name === name))
+    );
+    const journeyName = weightedPick(knownWeights, random);
+    if (journeyName) {
+        return journeys.get(journeyName);
+    }
+    return weightedPickItem(candidates, random);
+}
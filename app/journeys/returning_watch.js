@@ -0,0 +1,25 @@
+import { landingSteps, loginSteps, homeSteps, watchMovieSteps, changePlanSteps, logoutSteps } from './steps.js';
+
+// A user from the account pool comes back: logs in, watches another movie, sometimes changes plan
+export default {
+    name: 'returning-watch',
+    description: 'Returning user logs in with a saved account, watches a different movie, maybe changes plan and logs out',
+    audience: 'returning',
+    weight: 1,
+    steps: [
+        ...landingSteps,
+        ...loginSteps,
+        ...homeSteps,
+        ...watchMovieSteps,
+        {
+            name: 'change-plan',
+            type: 'group',
+            probability: 0.15,
+            probabilityFrom: 'persona.planChangeRate',
+            // The plan page isn't needed for the rest of the visit, so a failure here doesn't fail the session
+            optional: true,
+            steps: changePlanSteps
+        },
+        ...logoutSteps
+    ]
+};
@@ -0,0 +1,17 @@
+import { landingSteps, signupSteps, loginSteps, homeSteps, watchMovieSteps, logoutSteps } from './steps.js';
+
+// The original Hogflix flow: sign up, log in, watch a movie, log out
+export default {
+    name: 'signup-watch',
+    description: 'New visitor signs up, logs in, watches a movie and logs out',
+    createsAccount: 'submit-signup',
+    weight: 70,
+    steps: [
+        ...landingSteps,
+        ...signupSteps,
+        ...loginSteps,
+        ...homeSteps,
+        ...watchMovieSteps,
+        ...logoutSteps
+    ]
+};
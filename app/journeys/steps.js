@@ -0,0 +1,239 @@
+/**
+ * Step sequences shared by the built-in Hogflix journeys
+ */
+
+// Movie posters on the home page, what readers hover over
+export const MOVIE_CARDS = 'a[accesskey="1"], a[accesskey="2"], a[accesskey="3"]';
+
+// Landing page with UTMs, plus the GitHub Codespaces interstitial for private demo projects
+export const landingSteps = [
+    {
+        name: 'landing',
+        type: 'navigate',
+        page: 'home',
+        query: {
+            utm_source: '{{utm.utm_source}}',
+            utm_medium: '{{utm.utm_medium}}',
+            utm_campaign: '{{utm.utm_campaign}}',
+            utm_term: '{{utm.utm_term}}'
+        },
+        timeout: 60000
+    },
+    {
+        name: 'codespaces-continue',
+        type: 'clickIfPresent',
+        selector: [
+            'button.btn-primary.btn.js-toggle-hidden',
+            'button:has-text("Continue")',
+            '[onclick*="tunnel_phishing_protection"]'
+        ].join(',')
+    },
+    { name: 'read-landing', type: 'read', scale: 0.4, hover: MOVIE_CARDS, optional: true },
+    { name: 'abandon-landing', type: 'abandon', point: 'landing', probability: 0, probabilityFrom: 'abandonment.landing' }
+];
+
+// Refills the whole signup form after a rejected submit, since the page may have re-rendered
+const signupRefillSteps = [
+    { type: 'pause', duration: 'MEDIUM' },
+    { name: 'fix-username', type: 'fill', label: 'Username', value: '{{user.username}}' },
+    { type: 'pause', duration: 'SHORT' },
+    { name: 'fix-email', type: 'fill', label: 'Email', value: '{{user.email}}' },
+    { type: 'pause', duration: 'SHORT' },
+    { name: 'fix-password', type: 'fill', selector: 'input#password', value: '{{user.password}}', paste: true },
+    { type: 'pause', duration: 'SHORT' },
+    { name: 'fix-password2', type: 'fill', selector: 'input#password2', value: '{{user.password}}', paste: true },
+    { type: 'pause', duration: 'SHORT' },
+    { name: 'reselect-plan', type: 'naturalClick', selector: 'button:has-text("SELECT {{plan.name}}")' },
+    { type: 'pause', duration: 'MEDIUM' }
+];
+
+// Mistake groups read their rates from mistakes.js, they never fail the session on their own
+export const signupSteps = [
+    { name: 'open-signup', type: 'navigate', page: 'signup' },
+    { name: 'signup-form', type: 'waitFor', selector: '.form-control' },
+    { type: 'pause', duration: 'SHORT' },
+    {
+        name: 'signup-username-typo',
+        type: 'group',
+        probability: 0,
+        probabilityFrom: 'mistakes.typo',
+        optional: true,
+        steps: [
+            { type: 'fill', label: 'Username', value: '{{typos.username}}' },
+            { type: 'pause', duration: 'SHORT' }
+        ]
+    },
+    { name: 'signup-username', type: 'fill', label: 'Username', value: '{{user.username}}' },
+    { type: 'press', key: 'Tab' },
+    { type: 'pause', duration: 'MEDIUM' },
+    {
+        name: 'signup-email-typo',
+        type: 'group',
+        probability: 0,
+        probabilityFrom: 'mistakes.typo',
+        optional: true,
+        steps: [
+            { type: 'fill', label: 'Email', value: '{{typos.email}}' },
+            { type: 'pause', duration: 'SHORT' }
+        ]
+    },
+    { name: 'signup-email', type: 'fill', label: 'Email', value: '{{user.email}}' },
+    { type: 'press', key: 'Tab' },
+    { type: 'pause', duration: 'MEDIUM' },
+    { name: 'abandon-signup-form', type: 'abandon', point: 'signup-form', probability: 0, probabilityFrom: 'abandonment.signup-form' },
+    { name: 'signup-password', type: 'fill', selector: 'input#password', value: '{{user.password}}', paste: true },
+    { type: 'press', key: 'Tab' },
+    { type: 'pause', duration: 'MEDIUM' },
+    { name: 'signup-password2', type: 'fill', selector: 'input#password2', value: '{{user.password}}', paste: true },
+    { type: 'press', key: 'Tab' },
+    {
+        name: 'adult-checkbox',
+        type: 'group',
+        probability: 0.55,
+        probabilityFrom: 'persona.adultCheckboxRate',
+        steps: [
+            { type: 'press', key: 'Tab' },
+            { type: 'naturalClick', selector: '.form-check-input' }
+        ]
+    },
+    { type: 'pause', duration: 'MEDIUM' },
+    { name: 'scroll-to-plans', type: 'scroll', to: 'bottom' },
+    { type: 'pause', duration: 'MEDIUM' },
+    { name: 'select-plan', type: 'naturalClick', selector: 'button:has-text("SELECT {{plan.name}}")' },
+    { type: 'pause', duration: 'MEDIUM' },
+    {
+        name: 'signup-invalid-email',
+        type: 'group',
+        probability: 0,
+        probabilityFrom: 'mistakes.invalidEmail',
+        optional: true,
+        steps: [
+            { type: 'fill', label: 'Email', value: '{{typos.invalidEmail}}' },
+            { type: 'pause', duration: 'SHORT' },
+            { name: 'submit-invalid-email', type: 'naturalClick', selector: '[accesskey="e"]' },
+            { type: 'pause', duration: 'MEDIUM' },
+            { name: 'invalid-email-error', type: 'checkAlert', selector: '.alert-error' },
+            ...signupRefillSteps
+        ]
+    },
+    {
+        name: 'signup-mismatched-password',
+        type: 'group',
+        probability: 0,
+        probabilityFrom: 'mistakes.mismatchedPassword',
+        optional: true,
+        steps: [
+            { type: 'fill', selector: 'input#password2', value: '{{typos.password}}' },
+            { type: 'pause', duration: 'SHORT' },
+            // Nothing seems to happen, so the submit button gets hammered
+            { name: 'submit-mismatched-password', type: 'naturalClick', selector: '[accesskey="e"]', clicks: 4 },
+            { type: 'pause', duration: 'MEDIUM' },
+            { name: 'mismatched-password-error', type: 'checkAlert', selector: '.alert-error' },
+            ...signupRefillSteps
+        ]
+    },
+    { name: 'submit-signup', type: 'naturalClick', selector: '[accesskey="e"]' },
+    { type: 'pause', duration: 'MEDIUM' }
+];
+
+const loginFormSteps = [
+    { name: 'login-username', type: 'fill', selector: '#username', value: '{{user.username}}' },
+    { type: 'pause', duration: 'MEDIUM' },
+    { name: 'login-password', type: 'fill', selector: '#password', value: '{{user.password}}', paste: true },
+    { type: 'pause', duration: 'MEDIUM' },
+    { name: 'submit-login', type: 'click', selector: 'input[type="submit"]' },
+    { type: 'pause', duration: 'MEDIUM' }
+];
+
+export const loginSteps = [
+    { name: 'abandon-login', type: 'abandon', point: 'login', probability: 0, probabilityFrom: 'abandonment.login' },
+    { name: 'open-login', type: 'navigate', page: 'login', waitUntil: 'domcontentloaded' },
+    { type: 'pause', duration: 'MEDIUM' },
+    {
+        name: 'failed-login',
+        type: 'group',
+        probability: 0,
+        probabilityFrom: 'mistakes.failedLogin',
+        optional: true,
+        steps: [
+            { type: 'fill', selector: '#username', value: '{{user.username}}' },
+            { type: 'pause', duration: 'SHORT' },
+            { type: 'fill', selector: '#password', value: '{{typos.password}}' },
+            { type: 'pause', duration: 'SHORT' },
+            { name: 'submit-wrong-password', type: 'click', selector: 'input[type="submit"]' },
+            { type: 'pause', duration: 'MEDIUM' },
+            { name: 'wrong-password-error', type: 'checkAlert', selector: '.alert-error' },
+            { type: 'pause', duration: 'MEDIUM' }
+        ]
+    },
+    {
+        name: 'forgot-password',
+        type: 'group',
+        probability: 0,
+        probabilityFrom: 'mistakes.forgotPassword',
+        optional: true,
+        steps: [
+            {
+                name: 'open-forgot-password',
+                type: 'clickIfPresent',
+                selector: 'a:has-text("Forgot"), a[href*="forgot"], a[href*="reset"]'
+            },
+            { type: 'pause', duration: 'LONG' },
+            // Remembers the password after all
+            { name: 'back-to-login', type: 'navigate', page: 'login', waitUntil: 'domcontentloaded' },
+            { type: 'pause', duration: 'MEDIUM' }
+        ]
+    },
+    ...loginFormSteps,
+    // A failed login gets one more try before the session fails
+    { name: 'check-login', type: 'checkAlert', selector: '.alert-error', message: 'Login failed', retry: loginFormSteps }
+];
+
+// Back to the home page, past the signup modal if it pops up
+export const homeSteps = [
+    { type: 'pause', duration: 'MEDIUM' },
+    { name: 'open-home', type: 'navigate', page: 'home', waitUntil: 'domcontentloaded' },
+    {
+        name: 'dismiss-modal',
+        type: 'dismissModal',
+        modal: '#signup-modal',
+        close: '#close-modal',
+        remove: ['#signup-modal', '.modal-backdrop']
+    },
+    { name: 'browse-catalogue', type: 'read', scale: 0.5, hover: MOVIE_CARDS, optional: true }
+];
+
+export const watchMovieSteps = [
+    { name: 'abandon-movie', type: 'abandon', point: 'movie', probability: 0, probabilityFrom: 'abandonment.movie' },
+    // Phone and tablet users zoom in on a poster or press and hold it now and then, no-ops elsewhere
+    { name: 'pinch-poster', type: 'pinch', selector: 'a[accesskey="{{movie}}"]', probability: 0.15, optional: true },
+    { name: 'long-press-poster', type: 'longPress', selector: 'a[accesskey="{{movie}}"]', probability: 0.1, optional: true },
+    { name: 'open-movie', type: 'naturalClick', selector: 'a[accesskey="{{movie}}"]', waitUntil: 'networkidle' },
+    { name: 'watch-movie', type: 'pause', duration: 'LONG' }
+];
+
+// Picks {{newPlan}} on the target's account page, confirms it, then heads back home for the
+// user menu. The change only counts (see session_helpers.js) once `plan-changed` passes.
+export const changePlanSteps = [
+    { name: 'open-account', type: 'navigate', page: 'account', waitUntil: 'domcontentloaded' },
+    { type: 'pause', duration: 'MEDIUM' },
+    { type: 'scroll', to: 'bottom' },
+    { type: 'pause', duration: 'SHORT' },
+    { name: 'select-new-plan', type: 'naturalClick', selector: 'button:has-text("SELECT {{newPlan.name}}")' },
+    { type: 'pause', duration: 'SHORT' },
+    { name: 'confirm-plan', type: 'clickIfPresent', selector: 'button:has-text("Confirm")' },
+    { type: 'pause', duration: 'MEDIUM' },
+    {
+        name: 'plan-changed',
+        type: 'assert',
+        present: ':text-matches("(current|your) plan:?\\s*{{newPlan.name}}", "i")',
+        message: 'Plan change was not confirmed'
+    },
+    ...homeSteps
+];
+
+export const logoutSteps = [
+    { name: 'open-user-menu', type: 'naturalClick', selector: ':text-matches("Welcome back to Hogflix")' },
+    { type: 'pause', duration: 'MEDIUM' },
+    { name: 'logout', type: 'naturalClick', selector: 'a[accesskey="o"]', waitUntil: 'networkidle' }
+];
@@ -0,0 +1,20 @@
+import { landingSteps, signupSteps, loginSteps, homeSteps, watchMovieSteps, changePlanSteps, logoutSteps } from './steps.js';
+
+// Starts on the free plan and upgrades once they've seen what's on offer
+export default {
+    name: 'upgrade',
+    description: 'New visitor signs up on the FREE plan, watches a movie, upgrades to a paid plan and logs out',
+    createsAccount: 'submit-signup',
+    plan: 'FREE',
+    weight: 10,
+    steps: [
+        ...landingSteps,
+        ...signupSteps,
+        ...loginSteps,
+        ...homeSteps,
+        ...watchMovieSteps,
+        // Upgrading is the point of this journey, so an unconfirmed plan change fails the session
+        { name: 'change-plan', type: 'group', steps: changePlanSteps },
+        ...logoutSteps
+    ]
+};
@@ -0,0 +1,174 @@
+import client from 'prom-client';
+
+/**
+ * Prometheus metrics for session throughput, failures and latency.
+ *
+ * The job runner records each session attempt as it starts and finishes;
+ * per-step latency comes from each session result's step log. The provider
+ * wrapper counts browser session creation errors, which is usually the first
+ * thing to break when the demo data pipeline stops.
+ */
+
+// Sessions run for minutes, steps for milliseconds up to a long "watch" pause
+const SESSION_DURATION_BUCKETS = [10, 30, 60, 120, 180, 300, 600, 900, 1800];
+const STEP_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+/**
+ * Creates a metrics registry with the sessionhog metrics registered
+ * @returns {Object} Metrics recorder, `registry` is what /metrics serves
+ */
+export function createMetrics() {
+    const registry = new client.Registry();
+    client.collectDefaultMetrics({ register: registry });
+
+    const sessionsStarted = new client.Counter({
+        name: 'sessionhog_sessions_started_total',
+        help: 'Sessions started',
+        labelNames: ['job_type'],
+        registers: [registry]
+    });
+    const sessionsSucceeded = new client.Counter({
+        name: 'sessionhog_sessions_succeeded_total',
+        help: 'Sessions that finished their journey',
+        labelNames: ['device', 'target', 'journey'],
+        registers: [registry]
+    });
+    const sessionsAbandoned = new client.Counter({
+        name: 'sessionhog_sessions_abandoned_total',
+        help: 'Succeeded sessions whose visitor left early, by abandonment point',
+        labelNames: ['point', 'journey'],
+        registers: [registry]
+    });
+    const sessionsFailed = new client.Counter({
+        name: 'sessionhog_sessions_failed_total',
+        help: 'Sessions that failed, by the step that failed ("none" when no step was running)',
+        labelNames: ['step', 'device', 'target', 'journey'],
+        registers: [registry]
+    });
+    const sessionsCancelled = new client.Counter({
+        name: 'sessionhog_sessions_cancelled_total',
+        help: 'Sessions stopped because their job was cancelled',
+        registers: [registry]
+    });
+    const sessionRetries = new client.Counter({
+        name: 'sessionhog_session_retries_total',
+        help: 'Session attempts that failed for a transient reason and were retried',
+        registers: [registry]
+    });
+    const sessionDuration = new client.Histogram({
+        name: 'sessionhog_session_duration_seconds',
+        help: 'Session duration including browser setup and release',
+        labelNames: ['status', 'journey'],
+        buckets: SESSION_DURATION_BUCKETS,
+        registers: [registry]
+    });
+    const stepDuration = new client.Histogram({
+        name: 'sessionhog_step_duration_seconds',
+        help: 'Journey step latency',
+        labelNames: ['step', 'status'],
+        buckets: STEP_DURATION_BUCKETS,
+        registers: [registry]
+    });
+    const sessionsInFlight = new client.Gauge({
+        name: 'sessionhog_sessions_in_flight',
+        help: 'Sessions currently running',
+        registers: [registry]
+    });
+    const lastSuccess = new client.Gauge({
+        name: 'sessionhog_last_session_success_timestamp_seconds',
+        help: 'Unix time of the last session that succeeded',
+        registers: [registry]
+    });
+    const createErrors = new client.Counter({
+        name: 'sessionhog_browser_session_create_errors_total',
+        help: 'Browser sessions the provider failed to create',
+        labelNames: ['provider'],
+        registers: [registry]
+    });
+    const consecutiveCreateErrors = new client.Gauge({
+        name: 'sessionhog_browser_session_create_consecutive_errors',
+        help: 'Browser session creation failures since the last successful creation',
+        labelNames: ['provider'],
+        registers: [registry]
+    });
+
+    return {
+        registry,
+
+        /**
+         * @param {string} jobType - Job type, e.g. 'on-demand', 'scheduled'
+         */
+        sessionStarted(jobType) {
+            sessionsStarted.inc({ job_type: jobType });
+            sessionsInFlight.inc();
+        },
+
+        sessionRetried() {
+            sessionRetries.inc();
+        },
+
+        /**
+         * Records a finished session and the latency of each step it ran
+         * @param {Object} result - Session result from runSession
+         */
+        sessionFinished(result) {
+            sessionsInFlight.dec();
+
+            const labels = {
+                device: result.deviceType || 'unknown',
+                target: result.target || 'unknown',
+                journey: result.journey || 'unknown'
+            };
+            let status = 'failed';
+            if (result.success) {
+                status = 'succeeded';
+                sessionsSucceeded.inc(labels);
+                if (result.abandonedAt) {
+                    sessionsAbandoned.inc({ point: result.abandonedAt, journey: labels.journey });
+                }
+                lastSuccess.setToCurrentTime();
+            } else if (result.cancelled) {
+                status = 'cancelled';
+                sessionsCancelled.inc();
+            } else if (result.willRetry) {
+                // Counted by sessionRetried, like retriedAttempts in the job stats
+                status = 'retried';
+            } else {
+                sessionsFailed.inc({ ...labels, step: result.failedStep || 'none' });
+            }
+
+            if (result.durationMs !== undefined) {
+                sessionDuration.observe({ status, journey: labels.journey }, result.durationMs / 1000);
+            }
+            (result.steps || [])
+                .filter(step => step.durationMs !== undefined)
+                .forEach(step => stepDuration.observe({ step: step.name, status: step.status }, step.durationMs / 1000));
+        },
+
+        /**
+         * Wraps a browser provider so session creation errors are counted
+         * @param {Object} provider - Browser provider from browser_providers.js
+         * @returns {Object} Provider with the same interface
+         */
+        instrumentProvider(provider) {
+            const labels = { provider: provider.name };
+            createErrors.inc(labels, 0);
+            consecutiveCreateErrors.set(labels, 0);
+
+            return {
+                ...provider,
+                async createSession(options) {
+                    try {
+                        const session = await provider.createSession(options);
+                        consecutiveCreateErrors.set(labels, 0);
+                        return session;
+                    } catch (error) {
+                        createErrors.inc(labels);
+                        consecutiveCreateErrors.inc(labels);
+                        throw error;
+                    }
+                }
+            };
+        }
+    };
+}
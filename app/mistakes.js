@@ -0,0 +1,78 @@
+/**
+ * Form mistakes real users make in the signup and login flows, each with a
+ * rate (0-1) that journeys read through probabilityFrom: 'mistakes.<name>':
+ * - typo: mistypes the username or email and corrects it before moving on
+ * - invalidEmail: submits signup with an email that fails validation, then fixes the form
+ * - mismatchedPassword: submits signup with a confirm password that doesn't match
+ * - failedLogin: logs in with a mistyped password first, then retries
+ * - forgotPassword: visits the forgotten-password page before logging in
+ *
+ * Off unless MISTAKE_RATES is set. Rates then come from the defaults below, then
+ * the persona's `mistakes`, then MISTAKE_RATES, each replacing the rates it names,
+ * so an operator can always tune a rate from the environment. The wrong values
+ * themselves come from generateTypos in tools/randomIdentity.js.
+ */
+
+export const MISTAKES = [
+    'typo',
+    'invalidEmail',
+    'mismatchedPassword',
+    'failedLogin',
+    'forgotPassword'
+];
+
+export const DEFAULT_MISTAKE_RATES = {
+    typo: 0.15,
+    invalidEmail: 0.05,
+    mismatchedPassword: 0.08,
+    failedLogin: 0.1,
+    forgotPassword: 0.03
+};
+
+/**
+ * Resolves the rates for one session
+ * @param {Object<string, number>} rates - Rates set in MISTAKE_RATES, from loadMistakeRates
+ * @param {Object} [persona] - Persona definition, may have `mistakes` rates
+ * @returns {Object<string, number>} Mistake -> probability (0-1)
+ */
+export function mistakeRates(rates, persona) {
+    return { ...DEFAULT_MISTAKE_RATES, ...persona?.mistakes, ...rates };
+}
+
+/**
+ * Reads MISTAKE_RATES, a JSON object of { mistake: probability }, or "on" for the
+ * defaults alone. Unset or "off" leaves mistakes off, so existing runs don't
+ * change until someone opts in.
+ * @param {Object} env - Environment variables, usually process.env
+ * @returns {Object<string, number>|null} Rates set in MISTAKE_RATES (empty for
+ *   "on"), which mistakeRates applies over the defaults and persona, or null when off
+ * @throws {Error} If MISTAKE_RATES is invalid
+ */
+export function loadMistakeRates(env) {
+    if (!env.MISTAKE_RATES || env.MISTAKE_RATES === 'off') return null;
+
+    let rates = {};
+    if (env.MISTAKE_RATES !== 'on') {
+        try {
+            rates = JSON.parse(env.MISTAKE_RATES);
+        } catch (error) {
+            throw new Error(`MISTAKE_RATES must be valid JSON, "on" or "off": ${error.message}`);
+        }
+        if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+            throw new Error('MISTAKE_RATES must be a JSON object');
+        }
+    }
+
+    for (const [mistake, rate] of Object.entries(rates)) {
+        if (!MISTAKES.includes(mistake)) {
+            throw new Error(
+                `MISTAKE_RATES has unknown mistake "${mistake}", ` +
+                    `expected one of: ${MISTAKES.join(', ')}`
+            );
+        }
+        if (typeof rate !== 'number' || rate < 0 || rate > 1) {
+            throw new Error(`MISTAKE_RATES.${mistake} must be a number between 0 and 1`);
+        }
+    }
+    return rates;
+}
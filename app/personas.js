@@ -0,0 +1,113 @@
+import { weightedPickItem } from '../tools/random.js';
+
+/**
+ * Personas tie a session's attributes together so the generated analytics look realistic.
+ *
+ * Each persona has a relative `weight` and weight maps for:
+ * - devices: desktop / tablet / mobile
+ * - countries: ISO country codes from randomGeolocation.js
+ * - utmSources: traffic sources, mediums and campaigns follow from the source
+ * - plans: FREE / PREMIUM / MAX-IMAL
+ * - journeys: journey names, unknown names are ignored
+ * plus behavior settings such as `adultCheckboxRate` and `workEmailRate` (chance of
+ * signing up with a company address instead of a personal one) and `planChangeRate`
+ * (chance a returning user switches plan), plus `abandonment` and `mistakes` rates that
+ * replace the defaults in abandonment.js and mistakes.js, `typing` settings for the
+ * keystroke model and `reading` settings for read steps (see DEFAULT_TYPING and
+ * DEFAULT_READING in tools/mouseMove.js).
+ */
+
+// Hogflix's plans, the names personas' `plans` weights and journeys' `plan` refer to
+export const PLANS = [
+    { name: 'FREE', amount: 0 },
+    { name: 'PREMIUM', amount: 9.99 },
+    { name: 'MAX-IMAL', amount: 19.99 }
+];
+
+export const PERSONAS = [
+    {
+        name: 'enterprise-desktop-evaluator',
+        weight: 20,
+        devices: { desktop: 0.9, tablet: 0.1 },
+        countries: { US: 0.6, GB: 0.15, DE: 0.15, NL: 0.1 },
+        utmSources: { google: 0.45, email: 0.2, direct: 0.2, chatgpt: 0.15 },
+        plans: { FREE: 0.15, PREMIUM: 0.35, 'MAX-IMAL': 0.5 },
+        journeys: { 'signup-watch': 0.65, upgrade: 0.1, 'browse-only': 0.2, churn: 0.05 },
+        adultCheckboxRate: 0.9,
+        workEmailRate: 0.6,
+        planChangeRate: 0.3,
+        abandonment: { landing: 0.05, movie: 0.2 },
+        typing: { wpm: 60, typoRate: 0.02, pasteRate: 0.8 },
+        // Reads the pitch carefully before committing
+        reading: { seconds: { min: 15, max: 45 }, scrollBackRate: 0.3, hoverRate: 0.2 }
+    },
+    {
+        name: 'mobile-social-bouncer',
+        weight: 30,
+        devices: { mobile: 0.85, tablet: 0.15 },
+        countries: { US: 0.7, GB: 0.1, CA: 0.1, FR: 0.1 },
+        utmSources: { facebook: 0.45, twitter: 0.4, direct: 0.1, chatgpt: 0.05 },
+        plans: { FREE: 0.8, PREMIUM: 0.18, 'MAX-IMAL': 0.02 },
+        journeys: { 'browse-only': 0.6, 'signup-watch': 0.2, churn: 0.2 },
+        adultCheckboxRate: 0.3,
+        workEmailRate: 0.02,
+        planChangeRate: 0.05,
+        abandonment: { landing: 0.25, 'signup-form': 0.15 },
+        // Small keyboards
+        mistakes: { typo: 0.3, invalidEmail: 0.1 },
+        typing: { wpm: 28, burstRate: 0.1, typoRate: 0.06, pasteRate: 0.3 },
+        reading: { seconds: { min: 3, max: 10 }, dwell: { min: 400, max: 1200 }, scrollBackRate: 0.05 }
+    },
+    {
+        name: 'couch-binge-watcher',
+        weight: 30,
+        devices: { desktop: 0.4, tablet: 0.4, mobile: 0.2 },
+        countries: { US: 0.8, CA: 0.1, GB: 0.1 },
+        utmSources: { google: 0.4, direct: 0.3, email: 0.3 },
+        plans: { FREE: 0.3, PREMIUM: 0.5, 'MAX-IMAL': 0.2 },
+        journeys: { 'signup-watch': 0.75, upgrade: 0.1, churn: 0.1, 'browse-only': 0.05 },
+        adultCheckboxRate: 0.6,
+        workEmailRate: 0.05,
+        planChangeRate: 0.15,
+        typing: { wpm: 35, typoRate: 0.04, hesitation: { min: 500, max: 2000 } },
+        // Lingers over the catalogue
+        reading: { seconds: { min: 10, max: 30 }, hoverRate: 0.5 }
+    },
+    {
+        name: 'ai-referred-explorer',
+        weight: 20,
+        devices: { desktop: 0.7, mobile: 0.3 },
+        countries: { US: 0.5, DE: 0.2, NL: 0.15, FR: 0.15 },
+        utmSources: { chatgpt: 0.8, google: 0.2 },
+        plans: { FREE: 0.5, PREMIUM: 0.4, 'MAX-IMAL': 0.1 },
+        journeys: { 'signup-watch': 0.45, upgrade: 0.05, 'browse-only': 0.35, churn: 0.15 },
+        adultCheckboxRate: 0.5,
+        workEmailRate: 0.25,
+        planChangeRate: 0.1,
+        typing: { wpm: 50, burstRate: 0.3, pasteRate: 0.6 },
+        reading: { seconds: { min: 8, max: 20 }, scrollBackRate: 0.2, hoverRate: 0.3 }
+    }
+];
+
+/**
+ * Looks up a persona by name
+ * @param {string} name - Persona name
+ * @returns {Object} Persona definition
+ * @throws {Error} If no persona has that name
+ */
+export function getPersona(name) {
+    const persona = PERSONAS.find(p => p.name === name);
+    if (!persona) {
+        throw new Error(`Unknown persona "${name}", expected one of: ${PERSONAS.map(p => p.name).join(', ')}`);
+    }
+    return persona;
+}
+
+/**
+ * Samples a persona, weighted by each persona's `weight`
+ * @param {function(): number} [random] - Random source, defaults to Math.random
+ * @returns {Object} Persona definition
+ */
+export function pickPersona(random = Math.random) {
+    return weightedPickItem(PERSONAS, random);
+}
@@ -0,0 +1,132 @@
+import { logger } from '../tools/logger.js';
+
+/**
+ * Sends a `sessionhog_session_completed` event to PostHog after every session
+ * attempt, describing what sessionhog meant to do: the generated user, UTMs,
+ * plan, device, geo, persona, journey and how far it got. Insights built on
+ * these events can be compared with what the demo app actually captured.
+ *
+ * Events use their own distinct ID per session so they never merge into the
+ * persons the demo app identifies; join on the `username` or `email` property.
+ */
+
+export const SESSION_COMPLETED_EVENT = 'sessionhog_session_completed';
+
+const DEFAULT_HOST = 'https://us.i.posthog.com';
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Builds the event properties for a session result
+ * @param {Object} result - Session result from runSession
+ * @param {Object} job - Job record from the job runner
+ * @returns {Object} Event properties
+ */
+export function sessionEventProperties(result, job) {
+    return {
+        job_id: job.id,
+        job_type: job.type,
+        job_seed: job.seed,
+        session_number: result.sessionNumber,
+        attempt: result.attempt,
+        seed: result.seed,
+        success: result.success,
+        cancelled: Boolean(result.cancelled),
+        will_retry: Boolean(result.willRetry),
+        failed_step: result.failedStep || null,
+        abandoned_at: result.abandonedAt || null,
+        form_errors: result.formErrors?.length || 0,
+        pages_read: result.pagesRead?.length || 0,
+        reading_ms: (result.pagesRead || []).reduce((total, read) => total + read.durationMs, 0),
+        max_scroll_percent: result.pagesRead?.length
+            ? Math.max(...result.pagesRead.map(read => read.maxScrollPercent))
+            : null,
+        error: result.error || null,
+        duration_ms: result.durationMs,
+        username: result.username || null,
+        email: result.email || null,
+        name: result.name || null,
+        locale: result.locale || null,
+        ...result.utm,
+        plan: result.plan || null,
+        returning_user: Boolean(result.returning),
+        restored_browser_state: Boolean(result.restoredBrowserState),
+        plan_changed_to: result.planChange?.to || null,
+        persona: result.persona || null,
+        journey: result.journey || null,
+        target: result.target || null,
+        device_type: result.deviceType || null,
+        browser_type: result.browserType || null,
+        viewport_width: result.viewport?.width,
+        viewport_height: result.viewport?.height,
+        geo_city: result.geo?.city || null,
+        geo_state: result.geo?.state || null,
+        geo_country: result.geo?.country || null,
+        provider: result.provider || null,
+        replay_id: result.replayId || null,
+        replay_url: result.replayUrl || null
+    };
+}
+
+/**
+ * Creates a reporter that captures one event per session attempt
+ * @param {Object} options
+ * @param {string} options.apiKey - Project API key of the PostHog project to report to
+ * @param {string} [options.host] - PostHog host, e.g. a local mock server
+ * @param {Function} [options.fetch] - fetch implementation, defaults to the global fetch
+ */
+export function createPostHogReporter({ apiKey, host = DEFAULT_HOST, fetch = globalThis.fetch }) {
+    // Relative to the host so a reverse proxy path (e.g. https://example.com/ingest) is kept
+    const captureUrl = new URL('capture/', host.endsWith('/') ? host : `${host}/`).toString();
+
+    return {
+        /**
+         * Sends the event for a finished session attempt. Failures are logged,
+         * reporting never fails the session or the job.
+         * @param {Object} result - Session result from runSession
+         * @param {Object} job - Job record from the job runner
+         * @returns {Promise<void>}
+         */
+        async sessionFinished(result, job) {
+            try {
+                const response = await fetch(captureUrl, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        api_key: apiKey,
+                        event: SESSION_COMPLETED_EVENT,
+                        distinct_id: `sessionhog-${job.id}-${result.sessionNumber}`,
+                        timestamp: new Date().toISOString(),
+                        properties: sessionEventProperties(result, job)
+                    }),
+                    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+                });
+                if (!response.ok) {
+                    throw new Error(`PostHog responded with ${response.status}`);
+                }
+            } catch (error) {
+                logger.warn('Could not report session to PostHog', {
+                    sessionNumber: result.sessionNumber,
+                    error: error.message
+                });
+            }
+        }
+    };
+}
+
+/**
+ * Creates the PostHog reporter if POSTHOG_REPORTER_API_KEY is set
+ * @param {Object} env - Environment variables, usually process.env
+ * @returns {Object|null} Reporter, or null when reporting is off
+ * @throws {Error} If POSTHOG_REPORTER_HOST isn't a valid URL
+ */
+export function loadPostHogReporter(env) {
+    if (!env.POSTHOG_REPORTER_API_KEY) return null;
+
+    const host = env.POSTHOG_REPORTER_HOST || DEFAULT_HOST;
+    try {
+        new URL(host);
+    } catch (error) {
+        throw new Error('POSTHOG_REPORTER_HOST must be a valid URL');
+    }
+    return createPostHogReporter({ apiKey: env.POSTHOG_REPORTER_API_KEY, host });
+}
@@ -0,0 +1,85 @@
+import { isCancellation } from './job_control.js';
+
+/**
+ * Retry policy for sessions that fail for reasons outside the journey itself.
+ *
+ * Transient failures (timeouts, network errors, dropped CDP connections and
+ * provider errors such as rate limits) are retried with exponential backoff.
+ * Failures that point at the app or the journey, such as a failed assertion
+ * like "Login failed", are not: running them again would fail the same way.
+ */
+
+// Playwright and Node messages for network trouble and dropped browser connections
+const TRANSIENT_MESSAGE_PATTERN = new RegExp([
+    'net::ERR_',
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'ENOTFOUND',
+    'EAI_AGAIN',
+    'socket hang up',
+    'Target page, context or browser has been closed',
+    'Target closed',
+    'Browser has been closed',
+    'browser has disconnected',
+    'Connection closed',
+    'WebSocket'
+].join('|'), 'i');
+
+/**
+ * Decides whether a failed session is worth running again
+ * @param {Error} error - Error that failed the session
+ * @returns {boolean} True for timeouts, network, connection and provider errors
+ */
+export function isRetryableError(error) {
+    if (!error || isCancellation(error)) return false;
+
+    // HTTP errors from the provider API, e.g. a Browserbase rate limit
+    if (typeof error.status === 'number') {
+        return error.status === 408 || error.status === 429 || error.status >= 500;
+    }
+    if (error.name === 'TimeoutError') return true;
+    if (TRANSIENT_MESSAGE_PATTERN.test(error.message || '')) return true;
+
+    // Anything else from the provider (e.g. it couldn't hand out a browser) is on their side
+    return Boolean(error.providerError);
+}
+
+function parseNonNegativeInt(value, name) {
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+        throw new Error(`${name} must be a non-negative integer`);
+    }
+    return parsed;
+}
+
+/**
+ * Reads the retry policy from the environment
+ * @param {Object} env - Environment variables, usually process.env
+ * @returns {{maxAttempts: number, baseDelayMs: number, maxDelayMs: number}}
+ * @throws {Error} If a setting is invalid
+ */
+export function loadRetryPolicy(env) {
+    const maxAttempts = parseNonNegativeInt(env.SESSION_MAX_ATTEMPTS || '3', 'SESSION_MAX_ATTEMPTS');
+    if (maxAttempts < 1) {
+        throw new Error('SESSION_MAX_ATTEMPTS must be at least 1');
+    }
+    return {
+        maxAttempts,
+        baseDelayMs: parseNonNegativeInt(env.SESSION_RETRY_BASE_DELAY_MS || '5000', 'SESSION_RETRY_BASE_DELAY_MS'),
+        maxDelayMs: parseNonNegativeInt(env.SESSION_RETRY_MAX_DELAY_MS || '60000', 'SESSION_RETRY_MAX_DELAY_MS')
+    };
+}
+
+/**
+ * Backoff before the next attempt: exponential, capped, with jitter so
+ * concurrent sessions don't all hit the provider again at the same moment
+ * @param {Object} policy - Retry policy from loadRetryPolicy
+ * @param {number} attempt - The attempt that just failed, starting at 1
+ * @param {function(): number} [random] - Random source, defaults to Math.random
+ * @returns {number} Delay in milliseconds
+ */
+export function retryDelay(policy, attempt, random = Math.random) {
+    const delay = Math.min(policy.baseDelayMs * 2 ** (attempt - 1), policy.maxDelayMs);
+    return Math.round(delay / 2 + random() * (delay / 2));
+}
@@ -0,0 +1,100 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createBrowserProvider } from './browser_providers.js';
+import { createJobStore } from './job_store.js';
+import { createJobRunner } from './job_runner.js';
+import { loadTargets } from './targets.js';
+import { createMetrics } from './metrics.js';
+import { loadRetryPolicy } from './retry.js';
+import { loadPostHogReporter } from './posthog_reporter.js';
+import { loadWebhookNotifier } from './webhooks.js';
+import { loadIdentityOptions } from './identities.js';
+import { loadAccountPool } from './account_pool.js';
+import { loadAbandonment } from './abandonment.js';
+import { loadMistakeRates } from './mistakes.js';
+import { configureLogger, logger } from '../tools/logger.js';
+
+// Set up __dirname equivalent for ES modules
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_BASE_DOMAIN = 'https://posthog-demo-3000.fly.dev/';
+
+/**
+ * Loads environment variables from the repo's .env file and applies LOG_LEVEL/LOG_FORMAT
+ */
+export function loadEnv() {
+    dotenv.config({ path: path.join(__dirname, '../.env') });
+    configureLogger(process.env);
+}
+
+/**
+ * Validates configuration and builds everything an entry point needs to run jobs
+ * @param {Object} env - Environment variables, usually process.env
+ * @returns {Promise<{targets: Array<Object>, provider: Object, jobStore: Object, runner: Object, metrics: Object, notifier: Object|null}>}
+ * @throws {Error} If configuration is invalid or the browser provider is unreachable
+ */
+export async function createRuntime(env = process.env) {
+    // Hogflix instances to send traffic to (TARGETS, TARGETS_FILE or BASE_DOMAIN)
+    const targets = loadTargets(env, DEFAULT_BASE_DOMAIN);
+    const retryPolicy = loadRetryPolicy(env);
+    // Per-step drop-off rates (ABANDONMENT, off unless set), so funnels don't convert at ~100%
+    const abandonment = loadAbandonment(env);
+    // Typos, invalid emails, wrong passwords and the like (MISTAKE_RATES, off unless set)
+    const mistakes = loadMistakeRates(env);
+    const typingMode = env.TYPING_MODE || 'natural';
+    if (!['natural', 'fast'].includes(typingMode)) {
+        throw new Error('TYPING_MODE must be "natural" or "fast"');
+    }
+    // Upper bound for concurrent sessions, regardless of what a job asks for
+    const maxConcurrentLimit = Number(env.MAX_CONCURRENT_LIMIT || '5');
+    if (!Number.isInteger(maxConcurrentLimit) || maxConcurrentLimit < 1) {
+        throw new Error('MAX_CONCURRENT_LIMIT must be a positive integer');
+    }
+    // Ground-truth events about each session, only when POSTHOG_REPORTER_API_KEY is set
+    const reporter = loadPostHogReporter(env);
+    // Job and provider alerts, only when WEBHOOK_URLS is set
+    const notifier = loadWebhookNotifier(env);
+
+    const metrics = createMetrics();
+
+    // Initialize the browser provider (Browserbase unless BROWSER_PROVIDER says otherwise)
+    const provider = metrics.instrumentProvider(createBrowserProvider(env));
+
+    // Add validation for the provider connection
+    try {
+        await provider.checkConnection();
+        logger.info('Connected to browser provider', { provider: provider.name });
+    } catch (error) {
+        await notifier?.providerConnectionFailed(provider.name, error);
+        throw new Error(`Failed to connect to ${provider.name} browser provider: ${error.message}`);
+    }
+
+    // Job history and per-session results survive restarts in DATA_DIR
+    const dataDir = env.DATA_DIR || path.join(__dirname, '../data');
+    const jobStore = createJobStore(dataDir);
+    // Email domain pools, plus the registry of used identities when UNIQUE_IDENTITIES is on
+    const identity = await loadIdentityOptions(env, dataDir);
+    // Accounts created by signups, so later sessions can come back as returning users
+    const accounts = await loadAccountPool(env, dataDir);
+
+    const runner = createJobRunner({
+        provider,
+        targets,
+        jobStore,
+        maxConcurrentLimit,
+        // Playwright traces are heavy, so they're opt-in on top of the default failure artifacts
+        captureTraces: env.CAPTURE_TRACES === 'true',
+        metrics,
+        retryPolicy,
+        reporter,
+        notifier,
+        identity,
+        accounts,
+        abandonment,
+        mistakes,
+        typingMode
+    });
+
+    return { targets, provider, jobStore, runner, metrics, notifier };
+}
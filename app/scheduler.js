@@ -0,0 +1,164 @@
+import cron from 'node-cron';
+import { logger } from '../tools/logger.js';
+
+/**
+ * In-process scheduler that shapes session volume like real traffic.
+ *
+ * On every cron tick the session count is:
+ *   baseSessions x hourly curve x weekday curve x campaign multiplier x jitter
+ * using the server's local time (TZ), so peaks land in the demo audience's evening.
+ */
+
+// Relative traffic by hour of day (0-23): quiet overnight, lunch bump, evening peak
+export const HOURLY_CURVE = [
+    0.2, 0.1, 0.05, 0.05, 0.05, 0.1, 0.2, 0.4, 0.6, 0.7, 0.8, 0.9,
+    1.0, 0.9, 0.8, 0.8, 0.9, 1.0, 1.2, 1.4, 1.5, 1.3, 0.9, 0.5
+];
+
+// Relative traffic by day of week (Sunday first): weekday peaks, weekend dips
+export const WEEKDAY_CURVE = [0.6, 1.0, 1.1, 1.15, 1.1, 0.95, 0.65];
+
+/**
+ * Returns the multiplier for the campaigns running at a given time
+ * @param {Date} date - Time of the tick
+ * @param {Array<{name: string, start: string, end: string, multiplier: number}>} campaigns
+ * @returns {number} Product of all active campaign multipliers, 1 if none are active
+ */
+export function campaignMultiplier(date, campaigns = []) {
+    return campaigns
+        .filter(campaign => date >= new Date(campaign.start) && date < new Date(campaign.end))
+        .reduce((multiplier, campaign) => multiplier * (campaign.multiplier ?? 1), 1);
+}
+
+/**
+ * Calculates how many sessions a tick at the given time should run
+ * @param {Date} date - Time of the tick
+ * @param {Object} config - Scheduler config
+ * @param {number} config.baseSessions - Sessions per tick at a multiplier of 1
+ * @param {Array<Object>} [config.campaigns] - Campaign spikes
+ * @param {number} [config.jitter] - Random +/- fraction applied to the count
+ * @param {function(): number} [random] - Random source, defaults to Math.random
+ * @returns {number} Session count, may be 0
+ */
+export function computeSessionCount(date, config, random = Math.random) {
+    const jitter = config.jitter ?? 0.2;
+    const multiplier =
+        HOURLY_CURVE[date.getHours()] *
+        WEEKDAY_CURVE[date.getDay()] *
+        campaignMultiplier(date, config.campaigns) *
+        (1 - jitter + random() * 2 * jitter);
+
+    return Math.max(0, Math.round(config.baseSessions * multiplier));
+}
+
+function parsePositiveInt(env, name, defaultValue) {
+    const value = Number(env[name] || defaultValue);
+    if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`${name} must be a positive integer`);
+    }
+    return value;
+}
+
+function validateCampaign(campaign, index) {
+    if (!campaign || typeof campaign !== 'object') {
+        throw new Error(`SCHEDULE_CAMPAIGNS[${index}] must be an object`);
+    }
+    for (const key of ['start', 'end']) {
+        if (Number.isNaN(new Date(campaign[key]).getTime())) {
+            throw new Error(`SCHEDULE_CAMPAIGNS[${index}].${key} must be a date`);
+        }
+    }
+    if (campaign.multiplier !== undefined && !(typeof campaign.multiplier === 'number' && campaign.multiplier >= 0)) {
+        throw new Error(`SCHEDULE_CAMPAIGNS[${index}].multiplier must be a number of at least 0`);
+    }
+}
+
+/**
+ * Reads scheduler settings from environment variables
+ * @param {Object} env - Environment variables, usually process.env
+ * @returns {Object} Scheduler config
+ * @throws {Error} If a cron expression, session count, concurrency or the campaign list is invalid
+ */
+export function loadSchedulerConfig(env = process.env) {
+    const expressions = (env.SCHEDULE_CRON || '0 * * * *')
+        .split(';')
+        .map(expression => expression.trim())
+        .filter(Boolean);
+
+    for (const expression of expressions) {
+        if (!cron.validate(expression)) {
+            throw new Error(`SCHEDULE_CRON has an invalid cron expression: "${expression}"`);
+        }
+    }
+
+    let campaigns = [];
+    if (env.SCHEDULE_CAMPAIGNS) {
+        try {
+            campaigns = JSON.parse(env.SCHEDULE_CAMPAIGNS);
+        } catch (error) {
+            throw new Error(`SCHEDULE_CAMPAIGNS must be a JSON array: ${error.message}`);
+        }
+        if (!Array.isArray(campaigns)) {
+            throw new Error('SCHEDULE_CAMPAIGNS must be a JSON array');
+        }
+        campaigns.forEach(validateCampaign);
+    }
+
+    return {
+        enabled: env.SCHEDULER_ENABLED === 'true',
+        expressions,
+        timezone: env.TZ,
+        baseSessions: parsePositiveInt(env, 'SCHEDULE_BASE_SESSIONS', '10'),
+        maxConcurrent: parsePositiveInt(env, 'SCHEDULE_MAX_CONCURRENT', '1'),
+        campaigns
+    };
+}
+
+/**
+ * Starts cron tasks that run shaped session jobs
+ * @param {Object} config - Scheduler config from loadSchedulerConfig
+ * @param {function(string, Object): Promise<boolean>} runJob - Job runner that respects the job lock
+ * @returns {{stop: function(): void, preview: function(number=): Array<Object>}}
+ */
+export function startScheduler(config, runJob) {
+    const tasks = config.expressions.map(expression => cron.schedule(expression, async (now) => {
+        const tickTime = now instanceof Date ? now : new Date();
+        const sessionCount = computeSessionCount(tickTime, config);
+        if (sessionCount === 0) {
+            logger.info('Scheduled tick has no sessions to run', { expression, tickTime: tickTime.toISOString() });
+            return;
+        }
+
+        logger.info('Scheduled tick running sessions', { expression, tickTime: tickTime.toISOString(), sessionCount });
+        try {
+            // runJob holds the shared job lock and skips the tick if another job is running
+            await runJob('scheduled', {
+                sessionCount,
+                maxConcurrent: config.maxConcurrent
+            });
+        } catch (error) {
+            logger.error('Error in scheduled tick', { error });
+        }
+    }, { timezone: config.timezone }));
+
+    logger.info('Scheduler started', { expressions: config.expressions, baseSessions: config.baseSessions });
+
+    return {
+        stop() {
+            tasks.forEach(task => task.stop());
+        },
+
+        // Expected volume for each of the next hours, without jitter
+        preview(hours = 24) {
+            const start = new Date();
+            start.setMinutes(0, 0, 0);
+            return Array.from({ length: hours }, (_, i) => {
+                const date = new Date(start.getTime() + (i + 1) * 60 * 60 * 1000);
+                return {
+                    time: date.toISOString(),
+                    sessionsPerTick: computeSessionCount(date, { ...config, jitter: 0 })
+                };
+            });
+        }
+    };
+}
@@ -1,420 +1,384 @@
-import { chromium } from "playwright-core";
 import { randomizeBrowser } from '../tools/randomBrowser.js';
 import { randomizeGeolocation } from '../tools/randomGeolocation.js';
-import { 
-    moveMouseHuman, 
-    naturalClick, 
-    naturalScroll, 
-    naturalType,
-    humanPause
-} from '../tools/mouseMove.js';
-
-export async function runSession(sessionNumber, totalSessions, bb, BASE_DOMAIN) {
+import { generateTypos, randomizeIdentity } from '../tools/randomIdentity.js';
+import { humanPause, readingProfile, typingProfile } from '../tools/mouseMove.js';
+import { createTouchDriver } from '../tools/touch.js';
+import { runJourney } from './journey_runner.js';
+import { getJourney, pickJourney } from './journeys/index.js';
+import { PLANS, getPersona, pickPersona } from './personas.js';
+import { isCancellation } from './job_control.js';
+import { startDiagnostics } from './diagnostics.js';
+import { captureBrowserState, restoreBrowserState } from './browser_state.js';
+import { abandonmentRates } from './abandonment.js';
+import { mistakeRates } from './mistakes.js';
+import { isRetryableError } from './retry.js';
+import { buildTargetUrl, pickTarget } from './targets.js';
+import { createRandom, generateSeed, pick, weightedPick } from '../tools/random.js';
+import { logger, setLogContext } from '../tools/logger.js';
+
+export async function runSession(sessionNumber, totalSessions, provider, targets, options = {}) {
     let session;
+    let diagnostics;
+    let account = null;
+    const accounts = options.accounts;
+    const seed = options.seed ?? generateSeed();
+    const random = createRandom(seed);
+    const startedAt = Date.now();
+    const result = {
+        sessionNumber,
+        attempt: options.attempt || 1,
+        seed,
+        success: false,
+        startTime: new Date(startedAt).toISOString(),
+        steps: [],
+        formErrors: [],
+        pagesRead: []
+    };
     try {
-        console.log(`Starting session ${sessionNumber}/${totalSessions}...`);     
-        const geoLocation = randomizeGeolocation();
-        
-        session = await bb.sessions.create({
-            projectId: process.env.BROWSERBASE_PROJECT_ID,
-            region: 'us-east-1',
-            proxies: [{
-                type: 'browserbase',
-                geolocation: {
-                    city: geoLocation.city,
-                    country: geoLocation.country,
-                    ...(geoLocation.state && { state: geoLocation.state })
-                }
-            }]
-        });
-
-        // look at Browserbase.js fingerprint for viewports
-        const { browserType, deviceType, deviceConfig } = await randomizeBrowser();
-        console.log(`Using ${browserType} browser in ${deviceType} mode`);
-        
-        const browser = await chromium.connectOverCDP(session.connectUrl);
-        const defaultContext = browser.contexts()[0];
-        const page = defaultContext?.pages()[0];
-
-        // Set viewport first
-        await page.setViewportSize(deviceConfig.viewport);
-        
-        // Try/catch block for user agent setting
-        try {
-            if (deviceConfig.userAgent) {
-                await page.setExtraHTTPHeaders({
-                    'User-Agent': deviceConfig.userAgent
-                });
+        logger.info('Starting session', { sessionNumber, totalSessions, attempt: result.attempt, seed });
+
+        // Returning users log in with an account an earlier session created
+        const forcedJourney = options.journey ? getJourney(options.journey) : null;
+        const returning = forcedJourney
+            ? forcedJourney.audience === 'returning'
+            : Boolean(accounts) && random() < accounts.returningRate;
+        if (returning) {
+            if (!accounts) {
+                throw new Error(`Journey "${forcedJourney.name}" needs the account pool, set RETURNING_USER_RATE above 0`);
+            }
+            account = accounts.pool.checkout(random, { persona: options.persona });
+            if (!account && forcedJourney) {
+                throw new Error(`Journey "${forcedJourney.name}" needs a saved account, and the account pool has none available`);
             }
-        } catch (e) {
-            console.warn('Could not set user agent, continuing anyway:', e.message);
         }
-        
-        // Increased timeouts for page operations
-        page.setDefaultTimeout(120000); // 60 seconds
-        page.setDefaultNavigationTimeout(120000);
-        
-        // Generate random data
-        const user = generateUser();
-        const utmParams = generateUtm();
-        const planSelection = generatePlanSelection();
-        const movieNumber = generateMovieNumber();
-        
-        // Navigate and interact with the page
-        console.log('Navigating to page...');
-        const userAgent = await page.evaluate(() => navigator.userAgent)
-        console.log('User agent:', userAgent);
+        result.returning = Boolean(account);
+
+        const sampledPersona = options.persona || account
+            ? getPersona(options.persona || account.persona)
+            : pickPersona(random);
+        // A forced device type still keeps the rest of the persona's behavior
+        const persona = options.device
+            ? { ...sampledPersona, devices: { [options.device]: 1 } }
+            : sampledPersona;
+        result.persona = persona.name;
+        logger.info('Picked persona', { persona: persona.name });
+        // Returning users come back from the country they signed up in
+        const geoLocation = randomizeGeolocation(
+            account ? { ...persona, countries: { [account.country]: 1 } } : persona,
+            random,
+            options.geo
+        );
+        result.geo = {
+            city: geoLocation.city,
+            country: geoLocation.country,
+            ...(geoLocation.state && { state: geoLocation.state })
+        };
 
-        try {
-            // Initial page load
-            await page.goto(`${BASE_DOMAIN}?utm_source=${utmParams.utm_source}&utm_medium=${utmParams.utm_medium}&utm_campaign=${utmParams.utm_campaign}`, { 
-                waitUntil: "networkidle",
-                timeout: 60000 
-            });
+        // look at Browserbase.js fingerprint for viewports
+        const { browserType, deviceType, deviceConfig } = await randomizeBrowser(persona, random);
+        result.deviceType = deviceType;
+        result.browserType = browserType;
+        result.viewport = deviceConfig.viewport;
+        logger.info('Picked browser', { browserType, deviceType });
 
-            // Handle GitHub Codespaces Continue button if feeding sessions to private demo project
-            try {
-                const continueButton = await page.waitForSelector([
-                    'button.btn-primary.btn.js-toggle-hidden',
-                    'button:has-text("Continue")',
-                    '[onclick*="tunnel_phishing_protection"]'
-                ].join(','), { timeout: 5000 });
-                
-                if (continueButton) {
-                    await continueButton.click();
-                    // Wait for the cookie to be set and page to settle
-                    await page.waitForLoadState('networkidle');
-                }
-            } catch (buttonError) {
-                // Button wasn't found or wasn't needed, continue with normal flow
-                console.log('No CodeSpaces continue button found, proceeding with normal flow');
-            }
-            
-            await humanPause(page, 'MEDIUM');
-            
-            // Navigate to signup with Promise.all to handle navigation
-            await Promise.all([
-                page.waitForLoadState('networkidle'),
-                page.goto(`${BASE_DOMAIN}signup`)
-            ]);
-            
-            // Wait for form to be interactive
-            await page.waitForSelector('.form-control', { state: 'visible' });
-            await humanPause(page, 'SHORT');
-            
+        try {
+            // The provider emulates the device (viewport, scale factor, touch, user agent) for the whole context
+            session = await provider.createSession({ geoLocation, device: deviceConfig });
         } catch (error) {
-            console.error('Navigation error:', error);
+            // Lets the retry policy tell provider trouble apart from journey failures
+            error.providerError = true;
             throw error;
         }
+        result.provider = provider.name;
+        result.replayId = session.id;
+        result.replayUrl = session.replayUrl;
+        // Every later line from this session can be matched to its replay
+        setLogContext({ browserSessionId: session.id });
+
+        // Collect console output from the start, artifacts are only written if the session fails
+        if (options.artifactsDir) {
+            diagnostics = await startDiagnostics(session, { dir: options.artifactsDir, trace: options.trace });
+        }
 
-        await page.getByLabel('Username').fill(user.username);
-
-        await page.keyboard.press('Tab');
-        await humanPause(page, 'MEDIUM');
-        await page.getByLabel('Email').fill(user.email);
-
-        await page.keyboard.press("Tab");
-        await humanPause(page, 'MEDIUM');
-        await page.locator('input#password').fill(user.password);
-        await page.keyboard.press("Tab");
-        await humanPause(page, 'MEDIUM');
-        await page.locator('input#password2').fill(user.password);
-
-
-        await page.keyboard.press("Tab");
-        
-        // 55% chance to check the adult checkbox
-        if (Math.random() < 0.55) {
-            await page.keyboard.press("Tab");
-            await naturalClick(page, '.form-check-input')
+        // Same cookies and localStorage as last visit, so PostHog sees the same person come back
+        if (account) {
+            result.restoredBrowserState = await restoreAccountState(accounts.pool, account, session.context);
         }
-        
-        // Scroll to bottom for plan selection
-        await humanPause(page, 'MEDIUM');
-        await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-        
-        // Plan selection
-        await humanPause(page, 'MEDIUM');
-        await naturalClick(page, `button:has-text("SELECT ${planSelection.name}")`);
-        
-        // Continue with form submission and navigation
-        await humanPause(page, 'MEDIUM');
-        await naturalClick(page, '[accesskey="e"]')
-        await humanPause(page, 'MEDIUM');
 
-        console.log('Navigating to login page after signup...');
-        console.log('username:', user.username);
-        console.log('password:', user.password);
+        const { page } = session;
 
+        // Increased timeouts for page operations
+        page.setDefaultTimeout(120000); // 60 seconds
+        page.setDefaultNavigationTimeout(120000);
         
-        // Login section
-        await page.goto(`${BASE_DOMAIN}login`, { waitUntil: "domcontentloaded" });
-        try {
-            await humanPause(page, 'MEDIUM');
-            
-            // Get CSRF token with better error handling and fallbacks
-            let csrfToken;
-            try {
-                // Try multiple selectors in order of preference
-                csrfToken = await page.evaluate(() => {
-                    return (
-                        document.querySelector('input[name="csrf_token"]')?.value ||
-                        document.querySelector('meta[name="csrf-token"]')?.content ||
-                        document.querySelector('[data-csrf]')?.getAttribute('data-csrf')
-                    );
-                });
-                
-                if (!csrfToken) {
-                    console.warn('CSRF token not found, proceeding without it');
-                }
-            } catch (error) {
-                console.warn('Error getting CSRF token:', error.message);
-            }
-            
-            // Fill form
-            await page.fill('#username', user.username);
-            await humanPause(page, 'MEDIUM');
-            await page.fill('#password', user.password);
-            await humanPause(page, 'MEDIUM');
-            console.log('Filled password');
-            console.log('username:', user.username);
-            console.log('password:', user.password);
-            
-            // Submit form and wait for navigation
-            await page.click('input[type="submit"]')
-            await humanPause(page, 'MEDIUM');
-
-            // Check for error message
-            const hasError = await page.evaluate(() => {
-                const errorElement = document.querySelector('.alert-error');
-                return errorElement ? errorElement.textContent.trim() : null;
+        // Generate random data
+        const registry = options.identity?.registry;
+        let user;
+        if (account) {
+            const { firstName, lastName, username, email, password, locale, country } = account;
+            user = { firstName, lastName, username, email, password, locale, country };
+        } else {
+            user = randomizeIdentity({
+                country: geoLocation.country,
+                persona,
+                random,
+                domainPools: options.identity?.domainPools,
+                isTaken: registry && (value => registry.isTaken(value))
             });
-            
-            if (hasError) {
-                console.error('Login error:', hasError);
-                throw new Error(`Login failed: ${hasError}`);
+            if (registry) {
+                await registry.claim(user);
             }
-
-        } catch (error) {
-            console.error('Login process failed:', error);
-            throw error;
         }
-
-        // Movie selection and playback
-        await humanPause(page, 'MEDIUM');
-
-        // Wait for DOM to load
-        await page.goto(`${BASE_DOMAIN}`, { waitUntil: "domcontentloaded" });
-
-
-        // First check and handle any modal
-        const modalVisible = await page.evaluate(() => {
-            const modal = document.querySelector('#signup-modal');
-            return modal && window.getComputedStyle(modal).display !== 'none';
-        });
-
-        if (modalVisible) {
-            console.log('Modal detected, attempting to close...');
-            try {
-                await page.click('#close-modal');
-                await humanPause(page, 'SHORT');
-            } catch (e) {
-                console.log('Could not find close button, removing modal programmatically');
-                await page.evaluate(() => {
-                    document.querySelector('#signup-modal')?.remove();
-                    document.querySelector('.modal-backdrop')?.remove();
-                    document.body.classList.remove('modal-open');
-                });
-            }
+        const utmParams = generateUtm(persona, random);
+        let planSelection = account ? findPlan(account.plan) : generatePlanSelection(persona, random);
+        let newPlan = account ? generatePlanChange(planSelection, persona, random) : null;
+        // Returning users watch something other than last time
+        const movieNumber = generateMovieNumber(random, account?.lastMovie);
+        const target = pickTarget(targets, random, options.target);
+        result.target = target.name;
+        const journey = forcedJourney || pickJourney(persona, random, target, account ? 'returning' : 'new');
+        result.journey = journey.name;
+        // Journeys can sign up on a set plan, e.g. upgrade starts on FREE and moves up from there
+        if (journey.plan && !account) {
+            planSelection = findPlan(journey.plan);
+            newPlan = generatePlanChange(planSelection, persona, random);
         }
-
-        // Click movie link with navigation handling
-        try {
-            console.log('Attempting to click movie link...');
-            await naturalClick(page, `a[accesskey="${movieNumber}"]`);
-            console.log('Movie link clicked, waiting for network idle...');
-            await page.waitForLoadState('networkidle');
+        result.username = user.username;
+        result.email = user.email;
+        result.name = `${user.firstName} ${user.lastName}`;
+        result.locale = user.locale;
+        result.utm = utmParams;
+        result.plan = planSelection.name;
         
-            console.log('Video should be playing now');
-            await humanPause(page, 'LONG');
-        
-            console.log('Waiting for userDropdown to be visible...');
-            page.getByLabel({hasText:'Welcome back to Hogflix'}, { waitUntil: 'domcontentloaded' });
-            
-            console.log('Clicking userDropdown...');
-            await naturalClick(page, ':text-matches("Welcome back to Hogflix")');
-            await humanPause(page, 'MEDIUM');
-            
-            console.log('Attempting logout...');
-            await Promise.all([
-                page.waitForLoadState('networkidle'),
-                naturalClick(page, 'a[accesskey="o"]')
-            ]);
-            console.log('Logout successful');
-        
-        } catch (error) {
-            console.error('Error during movie playback or logout:', error);
-            throw error;
+        // Navigate and interact with the page
+        const userAgent = await page.evaluate(() => navigator.userAgent)
+        logger.debug('Navigating to page', { userAgent });
+
+        const { abandonedAt } = await runJourney(page, journey, {
+            target,
+            user,
+            // Wrong values for the mistake steps, see mistakes.js
+            typos: generateTypos(user, random),
+            utm: utmParams,
+            plan: planSelection,
+            newPlan,
+            movie: movieNumber,
+            persona,
+            abandonment: options.abandonment && abandonmentRates(options.abandonment, {
+                persona,
+                deviceType,
+                utmSource: utmParams.utm_source
+            }),
+            mistakes: options.mistakes && mistakeRates(options.mistakes, persona),
+            // Fast mode fills fields instantly
+            typing: options.typingMode === 'fast' ? null : typingProfile(persona.typing),
+            reading: readingProfile(persona.reading),
+            // Phones and tablets tap and swipe instead of moving a mouse
+            touch: deviceConfig.hasTouch ? createTouchDriver(page, { random }) : null,
+            random,
+            control: options.control,
+            stepLog: result.steps,
+            formErrors: result.formErrors,
+            pagesRead: result.pagesRead
+        });
+        result.abandonedAt = abandonedAt;
+        // Only a plan change the account page confirmed counts
+        if (newPlan && ranStep(result, 'plan-changed')) {
+            result.planChange = { from: planSelection.name, to: newPlan.name };
         }
     
         
         // Cleanup
-        await humanPause(page, 'LONG');
+        await humanPause(page, 'LONG', { random });
+        // Only accounts that end up in the pool keep their browser state
+        const keepsAccount = Boolean(accounts) && (Boolean(account) || createdAccount(journey, result));
+        // Read while the page is still open, so its origin's localStorage is included
+        const browserState = keepsAccount ? await captureBrowserState(session.context) : null;
         await page.close();
-        await browser.close();
         
         // Build the full URL with UTM parameters
-        const fullUrl = `${BASE_DOMAIN}?utm_source=${utmParams.utm_source}&utm_medium=${utmParams.utm_medium}&utm_campaign=${utmParams.utm_campaign}${utmParams.utm_term ? '&utm_term=' + utmParams.utm_term : ''}`;
-
-        console.log(
-            `Session ${sessionNumber} complete!\n` +
-            `- Replay: https://browserbase.com/sessions/${session.id}\n` +
-            `- Username: ${user.username}\n` +
-            `- Password: ${user.password}\n` +
-            `- Browser: ${browserType}\n` +
-            `- Screen: ${deviceConfig.viewport.width}x${deviceConfig.viewport.height}\n` +
-            `- Device: ${deviceType}\n` +
-            `- URL: ${fullUrl}`
-        );
-        return true;
+        const fullUrl = buildTargetUrl(target, target.paths.home, Object.entries(utmParams));
+
+        logger.info('Session complete', {
+            sessionNumber,
+            replay: session.replayUrl || `local session ${session.id}`,
+            username: user.username,
+            password: user.password,
+            browser: browserType,
+            screen: `${deviceConfig.viewport.width}x${deviceConfig.viewport.height}`,
+            device: deviceType,
+            persona: persona.name,
+            seed,
+            journey: journey.name,
+            returning: result.returning,
+            abandonedAt,
+            target: target.name,
+            url: fullUrl
+        });
+        if (keepsAccount) {
+            await updateAccountPool(accounts.pool, {
+                account, user, persona, planSelection, movieNumber, browserState, result
+            });
+        }
+        result.success = true;
+        return result;
     } catch (error) {
-        console.error(`Error in session ${sessionNumber}:`, error.message);
-        return false;
-    } finally {
-        // Cleanup if session was created but something went wrong
-        if (session?.id) {
-            try {
-                await bb.sessions.update(session.id, {
-                    status: "REQUEST_RELEASE",
-                    projectId: process.env.BROWSERBASE_PROJECT_ID,
-                });
-            } catch (cleanupError) {
-                console.warn(`Failed to cleanup session ${session.id}:`, cleanupError.message);
+        if (isCancellation(error)) {
+            logger.info('Session cancelled', { sessionNumber });
+            result.cancelled = true;
+        } else {
+            logger.error('Session failed', { sessionNumber, seed, failedStep: error.step || null, error: error.message });
+            if (diagnostics) {
+                result.artifacts = await diagnostics.capture(error);
+                result.artifactsDir = options.artifactsDir;
+                logger.info('Saved session diagnostics', { sessionNumber, artifactsDir: options.artifactsDir, artifacts: result.artifacts });
             }
         }
+        result.error = error.message;
+        result.failedStep = error.step || null;
+        result.retryable = isRetryableError(error);
+        return result;
+    } finally {
+        // Drops the trace of a session that didn't fail, before the browser goes away
+        await diagnostics?.stop();
+        result.durationMs = Date.now() - startedAt;
+        // Release the browser session whether or not the run succeeded
+        await session?.release();
+        if (account) {
+            accounts.pool.release(account.username);
+        }
     }
 }
 
-export function generatePlanSelection() {
-    const plans = [
-        { name: "FREE", amount: 0 },
-        { name: "PREMIUM", amount: 9.99 },
-        { name: "MAX-IMAL", amount: 19.99 }
-    ];
-    return plans[Math.floor(Math.random() * plans.length)];
+// A missing or unreadable state only costs continuity, so it never fails the session
+async function restoreAccountState(pool, account, context) {
+    try {
+        const state = await pool.loadBrowserState(account.username);
+        if (!state) return false;
+        await restoreBrowserState(context, state);
+        return true;
+    } catch (error) {
+        logger.warn('Could not restore browser state, continuing with a fresh browser', {
+            username: account.username,
+            error: error.message
+        });
+        return false;
+    }
 }
 
-export function generateUser() {
-    const regularDomains = [
-        "hogmail.com",
-        "squeak.com", 
-        "furryfamilies.com",
-        "quillpost.net",
-        "spikeymail.org",
-        "hedgehoghaven.com",
-        "pricklypal.net",
-        "snufflemail.com",
-        "spinyspace.org",
-        "hedgenet.com"
-    ];
+function ranStep(result, name) {
+    return result.steps.some(step => step.name === name && step.status === 'ok');
+}
 
-    const industryDomains = [
-        "pixhog.biz",
-        "imaginhog.ai",
-        "marvelhogstudios.io",
-        "hannahogbera.com",
-        "dreamhogs.biz",
-        "bluespiky.com",
-        "illuminhogion.tech",
-        "hogartsentertainment.tech",
-        "pricklypictures.app",
-        "spinemation.io"
-    ];
+// True if a new visitor's journey got far enough to leave an account behind
+function createdAccount(journey, result) {
+    return journey.createsAccount === true || ranStep(result, journey.createsAccount);
+}
 
-    const adjectives = [
-        // Hedgehog traits
-        "spiky", "sleepy", "speedy", "grumpy", "happy", "snuggly", "tiny", "rolly", "fuzzy",
-        "cozy", "sniffing", "curious", "hungry", "adventurou$", "bouncy", "wiggly", "giggly",
-        // Movie watching traits
-        "binging", "watching", "streaming", "viewing", "chilling", "relaxing", "comfy",
-        "snacking", "moviegoing", "cinematic",
-        // Kid-friendly adjectives
-        "silli", "jumpy", "sparkly", "magical", "dancing", "singing", "laffy",
-        // Engineering traits
-        "debugging", "coding", "hacking", "building", "shipping", "testing", "deploying",
-        "scaling", "optimizing", "refactoring",
-        // Growth/Product traits
-        "GrowinG", "launching", "iterating", "mea$uring", "analy$ing", "convert|ng"
-    ];
+// Saves the account a signup journey created, or records a returning user's visit,
+// along with the browser state the next visit starts from.
+// Pool write failures are logged, the session itself already succeeded.
+async function updateAccountPool(pool, {
+    account, user, persona, planSelection, movieNumber, browserState, result
+}) {
+    const lastMovie = ranStep(result, 'open-movie') ? movieNumber : undefined;
+    const plan = result.planChange?.to ?? planSelection.name;
+    try {
+        if (account) {
+            await pool.update(account.username, { plan, ...(lastMovie && { lastMovie }) });
+        } else {
+            const { firstName, lastName, username, email, password, locale, country } = user;
+            await pool.add({
+                username,
+                email,
+                password,
+                firstName,
+                lastName,
+                locale,
+                country,
+                persona: persona.name,
+                plan,
+                lastMovie: lastMovie ?? null
+            });
+        }
+        if (browserState) {
+            await pool.saveBrowserState(user.username, browserState);
+        }
+    } catch (error) {
+        logger.warn('Could not update the account pool', { username: user.username, error: error.message });
+    }
+}
 
-    const names = [
-        // Hedgehog names
-        "sonic", "spike", "prickles", "hoglet", "nibbles", "waddles", "pokey", "ziggy",
-        "quills", "bramble", "thistle",
-        // Movie watching names
-        "moviebuff", "cinephile", "filmfan", "bingewatcher", "couchpotato", "streammaster",
-        "flickpicker", "showtime", "cinema",
-        // Kid names
-        "princess", "superhero", "dragon", "unicorn", "wizard", "fairy", "pirate", "ninja",
-        "astronaut", "dinosaur", "mermaid",
-        // Engineering terms
-        "dev", "sre", "backend", "frontend", "fullstack", "devops", "ai_ops", "architect", "llm_ops",
-        // Growth/Product terms
-        "product", "growth", "metrics", "funnel", "journey", "northstar", "pmf", "mvp"
-    ];
+function findPlan(name) {
+    return PLANS.find(plan => plan.name === name) || PLANS[0];
+}
 
-    const useIndustryDomain = Math.random() < 0.1; // 10% chance
-    const domainList = useIndustryDomain ? industryDomains : regularDomains;
-    const randomDomain = domainList[Math.floor(Math.random() * domainList.length)];
-    
-    const randomAdjective = adjectives[Math.floor(Math.random() * adjectives.length)];
-    const randomName = names[Math.floor(Math.random() * names.length)]
-        .charAt(0).toUpperCase() + names[Math.floor(Math.random() * names.length)];
-    
-    // Generate random alphanumeric suffix (6 characters)
-    const alphanumeric = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-    const suffix = Array.from({ length: 3 }, () => 
-        alphanumeric.charAt(Math.floor(Math.random() * alphanumeric.length))
-    ).join('');
-    
-    const username = `${randomAdjective}${randomName}${suffix}`;
-    const utmParams = generateUtm();
-    
-    // Generate random password
-    const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-    const password = Array.from({ length: 9 }, () => 
-        characters.charAt(Math.floor(Math.random() * characters.length))
-    ).join('');
+export function generatePlanSelection(persona, random = Math.random) {
+    const planName = weightedPick(persona?.plans, random);
+    return PLANS.find(plan => plan.name === planName) || pick(PLANS, random);
+}
 
-    return {
-        username,
-        email: `${username}@${randomDomain}`,
-        password,
-        utmParams
-    };
+// Another plan than the current one, still weighted by what the persona tends to pick
+export function generatePlanChange(currentPlan, persona, random = Math.random) {
+    const weights = Object.fromEntries(
+        Object.entries(persona?.plans || {}).filter(([name]) => name !== currentPlan.name)
+    );
+    const planName = weightedPick(weights, random);
+    return PLANS.find(plan => plan.name === planName) ||
+        pick(PLANS.filter(plan => plan.name !== currentPlan.name), random);
 }
 
-export function generateUtm() {
+// Mediums and campaigns that plausibly go with each traffic source
+const SOURCE_MEDIUMS = {
+    google: { search: 0.6, cpc: 0.4 },
+    chatgpt: { organic: 1 },
+    facebook: { social: 0.6, cpc: 0.4 },
+    twitter: { social: 0.7, cpc: 0.3 },
+    direct: { organic: 1 },
+    email: { email: 1 }
+};
+
+const SOURCE_CAMPAIGNS = {
+    google: { winter2024: 0.5, organic: 0.5 },
+    chatgpt: { organic: 1 },
+    facebook: { socialads: 0.8, winter2024: 0.2 },
+    twitter: { socialads: 0.8, winter2024: 0.2 },
+    direct: { organic: 1 },
+    email: { emailblast: 0.8, winter2024: 0.2 }
+};
+
+export function generateUtm(persona, random = Math.random) {
     const sources = ["google", "chatgpt", "facebook", "twitter", "direct", "email"];
     const campaigns = ["winter2024", "socialads", "emailblast", "organic"];
     const mediums = ["search", "social", "cpc", "email", "organic"];
     const searchTerms = ["movie streaming", "watch movies online", "best streaming service", "new movies"];
 
-    const utm_medium = mediums[Math.floor(Math.random() * mediums.length)];
-    const params = {
-        utm_source: sources[Math.floor(Math.random() * sources.length)],
-        utm_medium,
-        utm_campaign: campaigns[Math.floor(Math.random() * campaigns.length)]
-    };
+    let params;
+    const personaSource = weightedPick(persona?.utmSources, random);
+    if (personaSource) {
+        // Persona sessions keep source, medium and campaign consistent with each other
+        params = {
+            utm_source: personaSource,
+            utm_medium: weightedPick(SOURCE_MEDIUMS[personaSource], random) || 'organic',
+            utm_campaign: weightedPick(SOURCE_CAMPAIGNS[personaSource], random) || 'organic'
+        };
+    } else {
+        params = {
+            utm_source: pick(sources, random),
+            utm_medium: pick(mediums, random),
+            utm_campaign: pick(campaigns, random)
+        };
+    }
 
     // Add utm_term only if medium is search
-    if (utm_medium === "search") {
-        params.utm_term = searchTerms[Math.floor(Math.random() * searchTerms.length)];
+    if (params.utm_medium === "search") {
+        params.utm_term = pick(searchTerms, random);
     }
 
     return params;
 }
 
-export function generateMovieNumber() {
-    return Math.floor(Math.random() * 3) + 1;
+export function generateMovieNumber(random = Math.random, exclude) {
+    const movies = [1, 2, 3].filter(movie => movie !== exclude);
+    return pick(movies, random);
 } 
\ No newline at end of file
@@ -1,73 +1,48 @@
-import Browserbase from "@browserbasehq/sdk";
-import dotenv from 'dotenv';
-import path from 'path';
 import express from 'express';
-import { fileURLToPath } from 'url';
-import { runSession } from './session_helpers.js';
+import { randomUUID } from 'crypto';
+import { journeys, loadJourneys } from './journeys/index.js';
+import { PERSONAS } from './personas.js';
+import { generateSeed } from '../tools/random.js';
+import { loadSchedulerConfig, startScheduler } from './scheduler.js';
+import { createRuntime, loadEnv } from './runtime.js';
+import { logger } from '../tools/logger.js';
 
 // Configure timezone for cron jobs
 process.env.TZ = process.env.TZ || 'America/Los_Angeles';
 
-// Set up __dirname equivalent for ES modules
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-
 // Load environment variables
-dotenv.config({ path: path.join(__dirname, '../.env') });
+loadEnv();
 
-const BROWSERBASE_API_KEY = process.env.BROWSERBASE_API_KEY || '';
-const BROWSERBASE_PROJECT_ID = process.env.BROWSERBASE_PROJECT_ID || '';
-const BASE_DOMAIN = process.env.BASE_DOMAIN || 'https://posthog-demo-3000.fly.dev/';
 const API_KEY = process.env.API_KEY || '';
 
 // Validate required environment variables
-if (!BROWSERBASE_API_KEY) {
-    console.error('Error: BROWSERBASE_API_KEY is required but not set');
-    process.exit(1);
-}
-
-if (!BROWSERBASE_PROJECT_ID) {
-    console.error('Error: BROWSERBASE_PROJECT_ID is required but not set');
-    process.exit(1);
-}
-
 if (!API_KEY) {
-    console.error('Error: API_KEY is required but not set');
+    logger.error('API_KEY is required but not set');
     process.exit(1);
 }
 
-// Validate BASE_DOMAIN format
+// Validate journeys (built-in plus JOURNEYS_DIR) and scheduler settings up front,
+// the scheduler itself starts with the server
+let schedulerConfig;
 try {
-    new URL(BASE_DOMAIN);
+    await loadJourneys();
+    schedulerConfig = loadSchedulerConfig(process.env);
 } catch (error) {
-    console.error('Error: BASE_DOMAIN must be a valid URL');
+    logger.error(error.message);
     process.exit(1);
 }
+let scheduler = null;
 
-// Initialize Browserbase globally
-const bb = new Browserbase({
-    apiKey: BROWSERBASE_API_KEY,
-    projectId: BROWSERBASE_PROJECT_ID,
-    region: 'us-east-1'
-});
-
-// Add validation for Browserbase connection
+// Validate the rest of the configuration and connect to the browser provider
+let runtime;
 try {
-    // Test the connection by attempting to list sessions
-    await bb.sessions.list({ projectId: BROWSERBASE_PROJECT_ID });
-    console.log('Successfully connected to Browserbase');
+    runtime = await createRuntime(process.env);
 } catch (error) {
-    console.error('Failed to connect to Browserbase:', error.message);
+    logger.error(error.message);
     process.exit(1);
 }
-
-// Add a lock mechanism to prevent multiple instances from running the same job
-let isJobRunning = false;
-let currentJobStats = {
-    startTime: null,
-    completedSessions: 0,
-    totalSessions: 0,
-    errors: []
-};
+const { targets, jobStore, runner, metrics } = runtime;
+const describeTargets = () => targets.map(target => `${target.name} (${target.baseUrl}, weight ${target.weight})`).join(', ');
 
 // API key middleware
 const apiKeyAuth = (req, res, next) => {
@@ -81,64 +56,6 @@ const apiKeyAuth = (req, res, next) => {
     next();
 };
 
-// Unified session running function
-async function runScheduledSessions(type, options = {}) {
-    if (isJobRunning) {
-        console.log('Another job is already running. Skipping this execution.');
-        return false;
-    }
-
-    try {
-        isJobRunning = true;
-        const sessionCount = options.sessionCount || Math.floor(Math.random() * (52 - 23 + 1)) + 23;
-        
-        currentJobStats = {
-            startTime: new Date().toISOString(),
-            completedSessions: 0,
-            totalSessions: sessionCount,
-            errors: []
-        };
-
-        console.log(`[${new Date().toISOString()}] Starting ${type} session management logic...`);
-        console.log(`Starting ${sessionCount} random sessions...`);
-
-        const results = [];
-        for (let i = 1; i <= sessionCount; i++) {
-            try {
-                const result = await runSession(i, sessionCount, bb, BASE_DOMAIN);
-                results.push(result);
-                if (result) {
-                    currentJobStats.completedSessions++;
-                }
-            } catch (error) {
-                currentJobStats.errors.push({
-                    session: i,
-                    error: error.message
-                });
-            }
-            
-            // Add a random delay between sessions (2-5 seconds)
-            const delay = Math.floor(Math.random() * (5000 - 2000 + 1)) + 2000;
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
-        
-        // Final statistics
-        const successCount = results.filter(r => r).length;
-        console.log(`\nCompleted ${successCount}/${sessionCount} sessions successfully`);
-        return true;
-
-    } catch (error) {
-        console.error('Error in scheduled job:', error);
-        currentJobStats.errors.push({
-            session: 'global',
-            error: error.message
-        });
-        return false;
-    } finally {
-        isJobRunning = false;
-    }
-}
-
 const app = express();
 app.use(express.json());
 
@@ -150,48 +67,121 @@ app.get('/health', (req, res) => {
         status: 'healthy',
         timestamp: new Date().toISOString(),
         timezone: process.env.TZ,
-        isJobRunning
+        isJobRunning: runner.isJobRunning
     });
 });
 
+// Prometheus metrics, left open like /health so scrapers don't need the API key
+app.get('/metrics', async (req, res) => {
+    try {
+        res.set('Content-Type', metrics.registry.contentType);
+        res.end(await metrics.registry.metrics());
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
 // Status endpoint
 app.get('/status', apiKeyAuth, (req, res) => {
     res.status(200).json({
-        isJobRunning,
-        currentJob: isJobRunning ? currentJobStats : null
+        isJobRunning: runner.isJobRunning,
+        currentJob: runner.isJobRunning ? runner.currentJob : null
     });
 });
 
 // Trigger sessions endpoint
 app.post('/trigger-sessions', apiKeyAuth, async (req, res) => {
-    if (isJobRunning) {
+    if (runner.isJobRunning) {
         return res.status(409).json({
             status: 'error',
             message: 'Another job is already running',
-            currentJob: currentJobStats
+            currentJob: runner.currentJob
         });
     }
 
     const {
         sessionCount,
-        maxConcurrent = 1
+        maxConcurrent = 1,
+        journey,
+        persona,
+        target,
+        seed
     } = req.body;
 
+    if (target !== undefined && !targets.some(t => t.name === target)) {
+        return res.status(400).json({
+            status: 'error',
+            message: `Unknown target "${target}", expected one of: ${targets.map(t => t.name).join(', ')}`
+        });
+    }
+
+    if (seed !== undefined && typeof seed !== 'number' && typeof seed !== 'string') {
+        return res.status(400).json({
+            status: 'error',
+            message: 'seed must be a number or a string'
+        });
+    }
+
+    if (journey !== undefined && !journeys.has(journey)) {
+        return res.status(400).json({
+            status: 'error',
+            message: `Unknown journey "${journey}", expected one of: ${[...journeys.keys()].join(', ')}`
+        });
+    }
+
+    if (persona !== undefined && !PERSONAS.some(p => p.name === persona)) {
+        return res.status(400).json({
+            status: 'error',
+            message: `Unknown persona "${persona}", expected one of: ${PERSONAS.map(p => p.name).join(', ')}`
+        });
+    }
+
+    if (sessionCount !== undefined && (!Number.isInteger(sessionCount) || sessionCount < 1)) {
+        return res.status(400).json({
+            status: 'error',
+            message: 'sessionCount must be a positive integer'
+        });
+    }
+
+    if (!Number.isInteger(maxConcurrent) || maxConcurrent < 1 || maxConcurrent > runner.maxConcurrentLimit) {
+        return res.status(400).json({
+            status: 'error',
+            message: `maxConcurrent must be an integer between 1 and ${runner.maxConcurrentLimit}`
+        });
+    }
+
     try {
+        // Pick the job ID and seed up front so they can be returned to the caller
+        const jobId = randomUUID();
+        const jobSeed = seed ?? generateSeed();
+
         // Start the session run asynchronously
-        runScheduledSessions('on-demand', {
+        runner.runJob('on-demand', {
             sessionCount,
-            maxConcurrent
+            maxConcurrent,
+            journey,
+            persona,
+            target,
+            seed: jobSeed,
+            jobId
         }).catch(error => {
-            console.error('Error in on-demand session:', error);
+            logger.error('Error in on-demand job', { jobId, error });
         });
 
         res.status(202).json({
             status: 'accepted',
             message: 'Session simulation started',
+            jobId,
             config: {
                 sessionCount: sessionCount || 'random(23-52)',
-                maxConcurrent
+                maxConcurrent,
+                journey: journey || 'weighted random',
+                persona: persona || 'weighted random',
+                target: target || 'weighted random',
+                seed: jobSeed
             }
         });
     } catch (error) {
@@ -202,11 +192,131 @@ app.post('/trigger-sessions', apiKeyAuth, async (req, res) => {
     }
 });
 
+// Job history endpoints
+app.get('/jobs', apiKeyAuth, async (req, res) => {
+    const limit = parseInt(req.query.limit || '50', 10);
+    try {
+        const jobs = await jobStore.listJobs({ limit: Number.isNaN(limit) ? 50 : limit });
+        res.status(200).json({ jobs });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+app.get('/jobs/:id', apiKeyAuth, async (req, res) => {
+    try {
+        const job = await jobStore.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Job not found'
+            });
+        }
+        res.status(200).json({ job });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+app.get('/jobs/:id/sessions', apiKeyAuth, async (req, res) => {
+    try {
+        const sessions = await jobStore.listSessions(req.params.id);
+        if (!sessions) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Job not found'
+            });
+        }
+        res.status(200).json({ sessions });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// Failure artifacts for a session, listed in the session result's `artifacts`
+// Pass ?attempt=n for the artifacts of a retried attempt
+app.get('/jobs/:id/sessions/:session/artifacts/:file', apiKeyAuth, (req, res) => {
+    const dir = jobStore.sessionArtifactsDir(
+        req.params.id,
+        Number(req.params.session),
+        Number(req.query.attempt || 1)
+    );
+    if (!dir || !/^[\w-]+\.\w+$/.test(req.params.file)) {
+        return res.status(404).json({
+            status: 'error',
+            message: 'Artifact not found'
+        });
+    }
+
+    res.sendFile(req.params.file, { root: dir }, (error) => {
+        if (error && !res.headersSent) {
+            res.status(error.statusCode === 404 ? 404 : 500).json({
+                status: 'error',
+                message: error.statusCode === 404 ? 'Artifact not found' : error.message
+            });
+        }
+    });
+});
+
+// Job control endpoints, these only act on the job that's currently running
+const controlCurrentJob = (action) => async (req, res) => {
+    const currentJob = runner.currentJob;
+    const control = runner.currentControl;
+    if (!runner.isJobRunning || !control || currentJob.id !== req.params.id) {
+        const job = await jobStore.getJob(req.params.id).catch(() => null);
+        return res.status(job ? 409 : 404).json({
+            status: 'error',
+            message: job ? `Job is not running (status: ${job.status})` : 'Job not found'
+        });
+    }
+
+    action(control);
+    if (control.cancelled) {
+        currentJob.status = 'cancelling';
+    } else {
+        currentJob.status = control.paused ? 'paused' : 'running';
+    }
+    await runner.saveCurrentJob();
+
+    res.status(202).json({
+        status: 'accepted',
+        job: currentJob
+    });
+};
+
+app.post('/jobs/:id/cancel', apiKeyAuth, controlCurrentJob(control => control.cancel()));
+app.post('/jobs/:id/pause', apiKeyAuth, controlCurrentJob(control => control.pause()));
+app.post('/jobs/:id/resume', apiKeyAuth, controlCurrentJob(control => control.resume()));
+
+// Scheduler endpoint
+app.get('/schedule', apiKeyAuth, (req, res) => {
+    res.status(200).json({
+        enabled: Boolean(scheduler),
+        timezone: process.env.TZ,
+        expressions: schedulerConfig.expressions,
+        baseSessions: schedulerConfig.baseSessions,
+        maxConcurrent: schedulerConfig.maxConcurrent,
+        campaigns: schedulerConfig.campaigns,
+        preview: scheduler ? scheduler.preview() : []
+    });
+});
+
 // Start the server
 app.listen(port, () => {
-    console.log(`Server listening on port ${port}`);
-    console.log(`Base domain: ${BASE_DOMAIN}`);
+    logger.info('Server listening', { port, targets: describeTargets() });
+
+    if (schedulerConfig.enabled) {
+        scheduler = startScheduler(schedulerConfig, runner.runJob);
+    }
 });
 
-console.log('Sessions server starting...');
-console.log(`Base domain: ${BASE_DOMAIN}`);
\ No newline at end of file
+logger.info('Sessions server starting', { targets: describeTargets() });
\ No newline at end of file
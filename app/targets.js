@@ -0,0 +1,129 @@
+import fs from 'fs';
+import { weightedPickItem } from '../tools/random.js';
+
+/**
+ * Targets are the Hogflix instances sessions run against.
+ *
+ * Each target has:
+ * - name: identifier recorded in session results
+ * - baseUrl: root URL of the instance
+ * - weight: relative share of sessions (default 1)
+ * - paths: page name -> path relative to baseUrl, merged over DEFAULT_PATHS
+ * - journeys: optional journey weights that replace the persona's for this target
+ */
+
+export const DEFAULT_PATHS = {
+    home: '',
+    signup: 'signup',
+    login: 'login',
+    // Plan selection for logged-in users, used when a returning user changes plan
+    account: 'account'
+};
+
+/**
+ * Builds a URL for a target, tolerating a missing trailing slash on baseUrl
+ * and a leading slash on the path
+ * @param {Object} target - Target definition
+ * @param {string} path - Path relative to the target's baseUrl
+ * @param {Array<[string, string]>} [query] - Query parameters in order
+ * @returns {string} Absolute URL
+ */
+export function buildTargetUrl(target, path = '', query = []) {
+    const base = target.baseUrl.endsWith('/') ? target.baseUrl : `${target.baseUrl}/`;
+    const url = new URL(path.replace(/^\/+/, ''), base);
+    query.forEach(([key, value]) => url.searchParams.append(key, value));
+    return url.toString();
+}
+
+/**
+ * Resolves a page name through the target's path map
+ * @param {Object} target - Target definition
+ * @param {string} page - Page name, e.g. 'signup'
+ * @returns {string} Path relative to the target's baseUrl
+ * @throws {Error} If the target has no path for that page
+ */
+export function targetPath(target, page) {
+    const path = target.paths[page];
+    if (path === undefined) {
+        throw new Error(`Target "${target.name}" has no path for page "${page}"`);
+    }
+    return path;
+}
+
+function normalizeTarget(target, index) {
+    const name = target.name || `target-${index + 1}`;
+    try {
+        new URL(target.baseUrl);
+    } catch (error) {
+        throw new Error(`Target "${name}" baseUrl must be a valid URL`);
+    }
+
+    return {
+        name,
+        baseUrl: target.baseUrl,
+        weight: target.weight ?? 1,
+        paths: { ...DEFAULT_PATHS, ...target.paths },
+        ...(target.journeys && { journeys: target.journeys })
+    };
+}
+
+/**
+ * Reads targets from TARGETS (JSON array) or TARGETS_FILE (path to a JSON array),
+ * falling back to a single target built from BASE_DOMAIN
+ * @param {Object} env - Environment variables, usually process.env
+ * @param {string} defaultBaseUrl - Base URL when nothing is configured
+ * @returns {Array<Object>} Normalized targets
+ * @throws {Error} If the configuration can't be parsed or a target is invalid
+ */
+export function loadTargets(env, defaultBaseUrl) {
+    let targets;
+    try {
+        if (env.TARGETS) {
+            targets = JSON.parse(env.TARGETS);
+        } else if (env.TARGETS_FILE) {
+            targets = JSON.parse(fs.readFileSync(env.TARGETS_FILE, 'utf8'));
+        }
+    } catch (error) {
+        throw new Error(`Could not read targets: ${error.message}`);
+    }
+
+    if (!targets) {
+        const baseUrl = env.BASE_DOMAIN || defaultBaseUrl;
+        try {
+            new URL(baseUrl);
+        } catch (error) {
+            throw new Error('BASE_DOMAIN must be a valid URL');
+        }
+        targets = [{ name: 'default', baseUrl }];
+    }
+
+    if (!Array.isArray(targets) || targets.length === 0) {
+        throw new Error('Targets must be a non-empty JSON array');
+    }
+
+    const normalized = targets.map(normalizeTarget);
+    const names = new Set(normalized.map(target => target.name));
+    if (names.size !== normalized.length) {
+        throw new Error('Target names must be unique');
+    }
+    return normalized;
+}
+
+/**
+ * Picks the target for a session
+ * @param {Array<Object>} targets - Normalized targets
+ * @param {function(): number} [random] - Random source, defaults to Math.random
+ * @param {string} [name] - Use this target instead of a weighted pick
+ * @returns {Object} Target
+ * @throws {Error} If a name is given and no target has it
+ */
+export function pickTarget(targets, random = Math.random, name) {
+    if (name) {
+        const target = targets.find(t => t.name === name);
+        if (!target) {
+            throw new Error(`Unknown target "${name}", expected one of: ${targets.map(t => t.name).join(', ')}`);
+        }
+        return target;
+    }
+    return weightedPickItem(targets, random);
+}
@@ -0,0 +1,248 @@
+import { logger } from '../tools/logger.js';
+import { retryDelay } from './retry.js';
+
+/**
+ * Outbound webhooks for things nobody would otherwise notice: a job finishing
+ * (especially a scheduled one that mostly failed), a job's failure rate
+ * crossing a threshold while it runs, and the browser provider being
+ * unreachable at startup.
+ *
+ * Payloads are Slack-compatible: `text` is what a Slack incoming webhook
+ * shows, the other fields are there for anything that wants structured data.
+ */
+
+export const WEBHOOK_EVENTS = {
+    JOB_FINISHED: 'job.finished',
+    FAILURE_RATE: 'job.failure_rate',
+    PROVIDER_CONNECTION_FAILED: 'provider.connection_failed'
+};
+
+const REQUEST_TIMEOUT_MS = 10000;
+const TOP_ERROR_COUNT = 5;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Picks the job stats fields worth sending
+ * @param {Object} job - Job record from the job runner
+ * @returns {Object} Job summary including the failure rate of finished sessions
+ */
+export function summarizeJob(job) {
+    const finished = job.completedSessions + job.failedSessions;
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        startTime: job.startTime,
+        endTime: job.endTime,
+        seed: job.seed,
+        totalSessions: job.totalSessions,
+        completedSessions: job.completedSessions,
+        abandonedSessions: job.abandonedSessions,
+        failedSessions: job.failedSessions,
+        cancelledSessions: job.cancelledSessions,
+        retriedAttempts: job.retriedAttempts,
+        failureRate: finished > 0 ? job.failedSessions / finished : 0
+    };
+}
+
+/**
+ * Groups a job's errors by step and message, most frequent first
+ * @param {Array<Object>} errors - Job errors ({ session, step, error })
+ * @param {number} [limit] - Number of groups to return
+ * @returns {Array<{step: string|null, message: string, count: number}>}
+ */
+export function topErrors(errors, limit = TOP_ERROR_COUNT) {
+    const groups = new Map();
+    for (const { step = null, error } of errors) {
+        const key = `${step}\u0000${error}`;
+        const group = groups.get(key) || { step, message: error, count: 0 };
+        group.count++;
+        groups.set(key, group);
+    }
+    return [...groups.values()]
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit);
+}
+
+const percent = (rate) => `${Math.round(rate * 100)}%`;
+
+function describeErrors(errors) {
+    return errors
+        .map(({ step, message, count }) => `• ${count}× ${step ? `[${step}] ` : ''}${message}`)
+        .join('\n');
+}
+
+/**
+ * Creates a notifier that posts webhook payloads to every configured URL
+ * @param {Object} options
+ * @param {Array<string>} options.urls - Webhook URLs
+ * @param {Array<string>} [options.events] - Events to send, all of WEBHOOK_EVENTS by default
+ * @param {number} [options.failureRateThreshold] - Failure rate (0-1) that triggers job.failure_rate
+ * @param {number} [options.minSessions] - Finished sessions needed before the rate is checked mid-job
+ * @param {Object} [options.delivery] - Retry policy for deliveries ({ maxAttempts, baseDelayMs, maxDelayMs })
+ * @param {Function} [options.fetch] - fetch implementation, defaults to the global fetch
+ */
+export function createWebhookNotifier({
+    urls,
+    events = Object.values(WEBHOOK_EVENTS),
+    failureRateThreshold = 0.5,
+    minSessions = 5,
+    delivery = { maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 10000 },
+    fetch = globalThis.fetch
+}) {
+    // Jobs that already sent job.failure_rate, so it's sent once per job
+    const alertedJobs = new Set();
+    // Background deliveries, awaited when the job finishes so an exiting process doesn't drop them
+    const pending = new Set();
+
+    async function deliver(url, payload) {
+        for (let attempt = 1; ; attempt++) {
+            let retryable = true;
+            try {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload),
+                    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+                });
+                if (response.ok) return;
+                retryable = response.status === 429 || response.status >= 500;
+                throw new Error(`Webhook responded with ${response.status}`);
+            } catch (error) {
+                if (!retryable || attempt >= delivery.maxAttempts) {
+                    logger.warn('Webhook delivery failed', { event: payload.event, url, attempt, error: error.message });
+                    return;
+                }
+                await sleep(retryDelay(delivery, attempt));
+            }
+        }
+    }
+
+    /**
+     * Sends an event to every URL, delivery failures are logged and never thrown
+     * @returns {Promise<void>}
+     */
+    async function send(event, text, data) {
+        if (!events.includes(event)) return;
+        const payload = { text, event, timestamp: new Date().toISOString(), ...data };
+        await Promise.all(urls.map(url => deliver(url, payload)));
+    }
+
+    function failureRatePayload(job) {
+        const summary = summarizeJob(job);
+        const errors = topErrors(job.errors);
+        const text =
+            `:warning: sessionhog ${job.type} job ${job.id}: ${percent(summary.failureRate)} of finished sessions failed ` +
+            `(${job.failedSessions} of ${job.completedSessions + job.failedSessions}, threshold ${percent(failureRateThreshold)})` +
+            (errors.length > 0 ? `\n${describeErrors(errors)}` : '');
+        return [text, { job: summary, topErrors: errors }];
+    }
+
+    return {
+        /**
+         * Checks a running job's failure rate after a session finishes.
+         * Sends job.failure_rate once per job, in the background.
+         * @param {Object} job - Job record from the job runner
+         */
+        sessionFinished(job) {
+            const finished = job.completedSessions + job.failedSessions;
+            if (alertedJobs.has(job.id) || finished < minSessions) return;
+            if (job.failedSessions / finished < failureRateThreshold) return;
+
+            alertedJobs.add(job.id);
+            const delivery = send(WEBHOOK_EVENTS.FAILURE_RATE, ...failureRatePayload(job));
+            pending.add(delivery);
+            delivery.finally(() => pending.delete(delivery));
+        },
+
+        /**
+         * Sends job.finished, plus job.failure_rate if the job ended over the threshold
+         * without having sent it yet (e.g. too few sessions for the mid-job check)
+         * @param {Object} job - Job record from the job runner
+         * @returns {Promise<void>}
+         */
+        async jobFinished(job) {
+            const summary = summarizeJob(job);
+            const errors = topErrors(job.errors);
+            const failed = summary.failureRate >= failureRateThreshold && job.failedSessions > 0;
+            const text =
+                `${failed || job.status === 'failed' ? ':x:' : ':white_check_mark:'} sessionhog ${job.type} job ${job.id} ${job.status}: ` +
+                `${job.completedSessions}/${job.totalSessions} sessions succeeded, ${job.failedSessions} failed` +
+                (job.cancelledSessions > 0 ? `, ${job.cancelledSessions} cancelled` : '') +
+                (errors.length > 0 ? `\n${describeErrors(errors)}` : '');
+
+            const deliveries = [...pending, send(WEBHOOK_EVENTS.JOB_FINISHED, text, { job: summary, topErrors: errors })];
+            if (failed && !alertedJobs.has(job.id)) {
+                deliveries.push(send(WEBHOOK_EVENTS.FAILURE_RATE, ...failureRatePayload(job)));
+            }
+            alertedJobs.delete(job.id);
+            await Promise.all(deliveries);
+        },
+
+        /**
+         * Sends provider.connection_failed
+         * @param {string} providerName - Browser provider name
+         * @param {Error} error - Connection error
+         * @returns {Promise<void>}
+         */
+        providerConnectionFailed(providerName, error) {
+            return send(
+                WEBHOOK_EVENTS.PROVIDER_CONNECTION_FAILED,
+                `:rotating_light: sessionhog could not connect to the ${providerName} browser provider: ${error.message}`,
+                { provider: providerName, error: error.message }
+            );
+        }
+    };
+}
+
+/**
+ * Creates the webhook notifier if WEBHOOK_URLS is set
+ * @param {Object} env - Environment variables, usually process.env
+ * @returns {Object|null} Notifier, or null when no webhooks are configured
+ * @throws {Error} If a setting is invalid
+ */
+export function loadWebhookNotifier(env) {
+    const urls = (env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+    if (urls.length === 0) return null;
+
+    for (const url of urls) {
+        try {
+            new URL(url);
+        } catch (error) {
+            throw new Error(`WEBHOOK_URLS contains an invalid URL: ${url}`);
+        }
+    }
+
+    const events = env.WEBHOOK_EVENTS
+        ? env.WEBHOOK_EVENTS.split(',').map(event => event.trim()).filter(Boolean)
+        : Object.values(WEBHOOK_EVENTS);
+    const unknown = events.filter(event => !Object.values(WEBHOOK_EVENTS).includes(event));
+    if (unknown.length > 0) {
+        throw new Error(
+            `WEBHOOK_EVENTS has unknown events (${unknown.join(', ')}), expected: ${Object.values(WEBHOOK_EVENTS).join(', ')}`
+        );
+    }
+
+    const failureRateThreshold = Number(env.WEBHOOK_FAILURE_RATE_THRESHOLD || '0.5');
+    if (!(failureRateThreshold > 0 && failureRateThreshold <= 1)) {
+        throw new Error('WEBHOOK_FAILURE_RATE_THRESHOLD must be a number between 0 and 1');
+    }
+
+    const minSessions = Number(env.WEBHOOK_MIN_SESSIONS || '5');
+    const maxAttempts = Number(env.WEBHOOK_MAX_ATTEMPTS || '3');
+    if (!Number.isInteger(minSessions) || minSessions < 1) {
+        throw new Error('WEBHOOK_MIN_SESSIONS must be a positive integer');
+    }
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+        throw new Error('WEBHOOK_MAX_ATTEMPTS must be a positive integer');
+    }
+
+    return createWebhookNotifier({
+        urls,
+        events,
+        failureRateThreshold,
+        minSessions,
+        delivery: { maxAttempts, baseDelayMs: 1000, maxDelayMs: 10000 }
+    });
+}
@@ -0,0 +1,17 @@
+/**
+ * Runs file writes one after another, so writes to the same files from concurrent
+ * sessions never interleave. A failed write rejects its own promise without
+ * stopping the writes queued after it.
+ * @returns {function(function(): Promise<void>): Promise<void>} Queues a write and
+ *   resolves once it has run
+ */
+export function createWriteQueue() {
+    let queue = Promise.resolve();
+
+    return (write) => {
+        const next = queue.then(write);
+        // Keep the queue alive even if this write fails
+        queue = next.catch(() => {});
+        return next;
+    };
+}
@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_ABANDONMENT_RATES,
+    abandonmentRates,
+    createAbandonment,
+    isAbandonment,
+    loadAbandonment
+} from '../app/abandonment.js';
+
+describe('loadAbandonment', () => {
+    it('is off unless ABANDONMENT is set', () => {
+        assert.equal(loadAbandonment({}), null);
+        assert.equal(loadAbandonment({ ABANDONMENT: 'off' }), null);
+    });
+
+    it('uses the defaults for "on"', () => {
+        const config = loadAbandonment({ ABANDONMENT: 'on' });
+        assert.deepEqual(abandonmentRates(config), DEFAULT_ABANDONMENT_RATES);
+    });
+
+    it('rejects invalid JSON, unknown points and out of range rates', () => {
+        assert.throws(() => loadAbandonment({ ABANDONMENT: '{' }), /must be valid JSON/);
+        assert.throws(() => loadAbandonment({ ABANDONMENT: '[]' }), /must be a JSON object/);
+        assert.throws(
+            () => loadAbandonment({ ABANDONMENT: '{"rates":{"checkout":0.1}}' }),
+            /unknown point "checkout"/
+        );
+        assert.throws(
+            () => loadAbandonment({ ABANDONMENT: '{"devices":{"mobile":{"login":2}}}' }),
+            /devices\.mobile\.login must be a number between 0 and 1/
+        );
+    });
+});
+
+describe('abandonmentRates', () => {
+    const persona = { abandonment: { landing: 0.4, movie: 0.3 } };
+
+    it('applies persona rates over the defaults', () => {
+        const rates = abandonmentRates(loadAbandonment({ ABANDONMENT: 'on' }), { persona });
+        assert.equal(rates.landing, 0.4);
+        assert.equal(rates.login, DEFAULT_ABANDONMENT_RATES.login);
+    });
+
+    it('applies ABANDONMENT rates, then device and UTM source rates, over the persona', () => {
+        const config = loadAbandonment({
+            ABANDONMENT: JSON.stringify({
+                rates: { landing: 0 },
+                devices: { mobile: { movie: 0.5 } },
+                utmSources: { facebook: { movie: 0.6 } }
+            })
+        });
+        assert.deepEqual(abandonmentRates(config, { persona, deviceType: 'mobile' }), {
+            ...DEFAULT_ABANDONMENT_RATES,
+            landing: 0,
+            movie: 0.5
+        });
+        const session = { persona, deviceType: 'mobile', utmSource: 'facebook' };
+        assert.equal(abandonmentRates(config, session).movie, 0.6);
+    });
+});
+
+describe('createAbandonment', () => {
+    it('creates an error isAbandonment recognizes', () => {
+        const error = createAbandonment('login');
+        assert.equal(isAbandonment(error), true);
+        assert.equal(error.point, 'login');
+        assert.equal(isAbandonment(new Error('Login failed')), false);
+    });
+});
@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_MISTAKE_RATES, loadMistakeRates, mistakeRates } from '../app/mistakes.js';
+
+describe('loadMistakeRates', () => {
+    it('is off unless MISTAKE_RATES is set', () => {
+        assert.equal(loadMistakeRates({}), null);
+        assert.equal(loadMistakeRates({ MISTAKE_RATES: 'off' }), null);
+    });
+
+    it('rejects invalid JSON, unknown mistakes and out of range rates', () => {
+        assert.throws(() => loadMistakeRates({ MISTAKE_RATES: 'typo' }), /must be valid JSON/);
+        assert.throws(() => loadMistakeRates({ MISTAKE_RATES: '[0.1]' }), /must be a JSON object/);
+        assert.throws(
+            () => loadMistakeRates({ MISTAKE_RATES: '{"doubleClick":0.1}' }),
+            /unknown mistake "doubleClick"/
+        );
+        assert.throws(
+            () => loadMistakeRates({ MISTAKE_RATES: '{"typo":"0.1"}' }),
+            /MISTAKE_RATES\.typo must be a number between 0 and 1/
+        );
+    });
+});
+
+describe('mistakeRates', () => {
+    const persona = { mistakes: { typo: 0.3, invalidEmail: 0.1 } };
+
+    it('uses the defaults for "on"', () => {
+        const rates = mistakeRates(loadMistakeRates({ MISTAKE_RATES: 'on' }));
+        assert.deepEqual(rates, DEFAULT_MISTAKE_RATES);
+    });
+
+    it('applies persona rates over the defaults', () => {
+        const rates = mistakeRates(loadMistakeRates({ MISTAKE_RATES: 'on' }), persona);
+        assert.deepEqual(rates, { ...DEFAULT_MISTAKE_RATES, typo: 0.3, invalidEmail: 0.1 });
+    });
+
+    it('applies MISTAKE_RATES over the persona', () => {
+        const rates = mistakeRates(loadMistakeRates({ MISTAKE_RATES: '{"typo":0}' }), persona);
+        assert.deepEqual(rates, { ...DEFAULT_MISTAKE_RATES, typo: 0, invalidEmail: 0.1 });
+    });
+});
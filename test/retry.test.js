@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isRetryableError, loadRetryPolicy, retryDelay } from '../app/retry.js';
+import { JOB_CANCELLED } from '../app/job_control.js';
+
+const errorWith = (message, fields = {}) => Object.assign(new Error(message), fields);
+
+describe('isRetryableError', () => {
+    it('retries timeouts', () => {
+        const error = errorWith('page.goto: Timeout 30000ms exceeded', { name: 'TimeoutError' });
+        assert.equal(isRetryableError(error), true);
+    });
+
+    it('retries network and dropped connection errors', () => {
+        for (const message of [
+            'page.goto: net::ERR_CONNECTION_RESET at https://hogflix.example',
+            'read ECONNRESET',
+            'getaddrinfo ENOTFOUND hogflix.example',
+            'socket hang up',
+            'Target page, context or browser has been closed',
+            'browserType.connectOverCDP: WebSocket error'
+        ]) {
+            assert.equal(isRetryableError(new Error(message)), true, message);
+        }
+    });
+
+    it('retries provider rate limits and server errors, not other HTTP errors', () => {
+        assert.equal(isRetryableError(errorWith('Too Many Requests', { status: 429 })), true);
+        assert.equal(isRetryableError(errorWith('Bad Gateway', { status: 502 })), true);
+        assert.equal(isRetryableError(errorWith('Request Timeout', { status: 408 })), true);
+        assert.equal(isRetryableError(errorWith('Unauthorized', { status: 401 })), false);
+    });
+
+    it('retries other provider errors', () => {
+        const error = errorWith('No browsers available', { providerError: true });
+        assert.equal(isRetryableError(error), true);
+    });
+
+    it('does not retry journey failures, cancellations or missing errors', () => {
+        assert.equal(isRetryableError(new Error('Login failed: Invalid password')), false);
+        assert.equal(isRetryableError(new Error('Element not found: [accesskey="e"]')), false);
+        assert.equal(isRetryableError(errorWith('Job cancelled', { code: JOB_CANCELLED })), false);
+        assert.equal(isRetryableError(undefined), false);
+    });
+});
+
+describe('loadRetryPolicy', () => {
+    it('uses the defaults when nothing is set', () => {
+        const policy = loadRetryPolicy({});
+        assert.deepEqual(policy, { maxAttempts: 3, baseDelayMs: 5000, maxDelayMs: 60000 });
+    });
+
+    it('reads the settings from the environment', () => {
+        const policy = loadRetryPolicy({
+            SESSION_MAX_ATTEMPTS: '1',
+            SESSION_RETRY_BASE_DELAY_MS: '0',
+            SESSION_RETRY_MAX_DELAY_MS: '100'
+        });
+        assert.deepEqual(policy, { maxAttempts: 1, baseDelayMs: 0, maxDelayMs: 100 });
+    });
+
+    it('rejects invalid settings', () => {
+        for (const [name, value, message] of [
+            ['SESSION_MAX_ATTEMPTS', '0', /SESSION_MAX_ATTEMPTS must be at least 1/],
+            ['SESSION_MAX_ATTEMPTS', 'two', /SESSION_MAX_ATTEMPTS must be a non-negative integer/],
+            ['SESSION_RETRY_BASE_DELAY_MS', '-1', /SESSION_RETRY_BASE_DELAY_MS/],
+            ['SESSION_RETRY_MAX_DELAY_MS', '1.5', /SESSION_RETRY_MAX_DELAY_MS/]
+        ]) {
+            assert.throws(() => loadRetryPolicy({ [name]: value }), message);
+        }
+    });
+});
+
+describe('retryDelay', () => {
+    const policy = { maxAttempts: 5, baseDelayMs: 1000, maxDelayMs: 5000 };
+
+    it('doubles the delay per attempt up to the cap', () => {
+        assert.equal(retryDelay(policy, 1, () => 1), 1000);
+        assert.equal(retryDelay(policy, 2, () => 1), 2000);
+        assert.equal(retryDelay(policy, 3, () => 1), 4000);
+        assert.equal(retryDelay(policy, 4, () => 1), 5000);
+    });
+
+    it('jitters between half and the full delay', () => {
+        assert.equal(retryDelay(policy, 2, () => 0), 1000);
+        assert.equal(retryDelay(policy, 2, () => 0.5), 1500);
+    });
+});
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    HOURLY_CURVE,
+    WEEKDAY_CURVE,
+    campaignMultiplier,
+    computeSessionCount,
+    loadSchedulerConfig
+} from '../app/scheduler.js';
+
+// Local time, like the scheduler's ticks. 2024-06-05 is a Wednesday
+const wednesdayAt = (hour) => new Date(2024, 5, 5, hour);
+
+describe('loadSchedulerConfig', () => {
+    it('uses the defaults when nothing is set', () => {
+        const config = loadSchedulerConfig({});
+        assert.equal(config.enabled, false);
+        assert.deepEqual(config.expressions, ['0 * * * *']);
+        assert.equal(config.baseSessions, 10);
+        assert.equal(config.maxConcurrent, 1);
+        assert.deepEqual(config.campaigns, []);
+    });
+
+    it('splits SCHEDULE_CRON on semicolons', () => {
+        const config = loadSchedulerConfig({ SCHEDULE_CRON: '0 9 * * 1-5; 30 20 * * *' });
+        assert.deepEqual(config.expressions, ['0 9 * * 1-5', '30 20 * * *']);
+    });
+
+    it('rejects invalid cron expressions, counts and campaigns', () => {
+        const invalid = [
+            [{ SCHEDULE_CRON: 'every hour' }, /invalid cron expression/],
+            [{ SCHEDULE_BASE_SESSIONS: '0' }, /SCHEDULE_BASE_SESSIONS must be a positive/],
+            [{ SCHEDULE_MAX_CONCURRENT: '1.5' }, /SCHEDULE_MAX_CONCURRENT must be a positive/],
+            [{ SCHEDULE_CAMPAIGNS: '{}' }, /must be a JSON array/],
+            [
+                { SCHEDULE_CAMPAIGNS: '[{"start":"soon","end":"2024-06-06"}]' },
+                /SCHEDULE_CAMPAIGNS\[0\]\.start must be a date/
+            ],
+            [
+                {
+                    SCHEDULE_CAMPAIGNS: JSON.stringify([
+                        { start: '2024-06-01', end: '2024-06-06', multiplier: -1 }
+                    ])
+                },
+                /multiplier must be a number of at least 0/
+            ]
+        ];
+        for (const [env, message] of invalid) {
+            assert.throws(() => loadSchedulerConfig(env), message);
+        }
+    });
+});
+
+describe('campaignMultiplier', () => {
+    const campaigns = [
+        { name: 'launch', start: '2024-06-01T00:00:00', end: '2024-06-08T00:00:00', multiplier: 3 },
+        { name: 'email', start: '2024-06-05T00:00:00', end: '2024-06-06T00:00:00', multiplier: 2 }
+    ];
+
+    it('multiplies the campaigns running at the time', () => {
+        assert.equal(campaignMultiplier(wednesdayAt(12), campaigns), 6);
+        assert.equal(campaignMultiplier(new Date(2024, 5, 7, 12), campaigns), 3);
+    });
+
+    it('is 1 outside every campaign', () => {
+        assert.equal(campaignMultiplier(new Date(2024, 6, 1), campaigns), 1);
+        assert.equal(campaignMultiplier(wednesdayAt(12)), 1);
+    });
+});
+
+describe('computeSessionCount', () => {
+    it('follows the hourly and weekday curves without jitter', () => {
+        const config = { baseSessions: 100, jitter: 0 };
+        const evening = computeSessionCount(wednesdayAt(20), config);
+        assert.equal(evening, Math.round(100 * HOURLY_CURVE[20] * WEEKDAY_CURVE[3]));
+        assert.ok(computeSessionCount(wednesdayAt(3), config) < evening);
+    });
+
+    it('keeps jitter within the configured fraction', () => {
+        const config = { baseSessions: 100, jitter: 0.2 };
+        const expected = 100 * HOURLY_CURVE[12] * WEEKDAY_CURVE[3];
+        const noon = wednesdayAt(12);
+        assert.equal(computeSessionCount(noon, config, () => 0), Math.round(expected * 0.8));
+        assert.equal(computeSessionCount(noon, config, () => 1), Math.round(expected * 1.2));
+    });
+
+    it('can be 0 on a quiet tick', () => {
+        assert.equal(computeSessionCount(wednesdayAt(3), { baseSessions: 5, jitter: 0 }), 0);
+    });
+});
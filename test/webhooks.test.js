@@ -0,0 +1,210 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { configureLogger } from '../tools/logger.js';
+import {
+    WEBHOOK_EVENTS,
+    createWebhookNotifier,
+    loadWebhookNotifier,
+    summarizeJob,
+    topErrors
+} from '../app/webhooks.js';
+
+// Failed deliveries are logged, keep them out of the test output
+configureLogger({ LOG_LEVEL: 'silent' });
+
+const noDelay = { maxAttempts: 2, baseDelayMs: 0, maxDelayMs: 0 };
+
+function createJob(fields = {}) {
+    return {
+        id: 'job-1',
+        type: 'cron',
+        status: 'completed',
+        startTime: '2024-06-05T12:00:00.000Z',
+        endTime: '2024-06-05T12:10:00.000Z',
+        seed: 42,
+        totalSessions: 10,
+        completedSessions: 10,
+        abandonedSessions: 2,
+        failedSessions: 0,
+        cancelledSessions: 0,
+        retriedAttempts: 0,
+        errors: [],
+        ...fields
+    };
+}
+
+// Local HTTP stub that records every request and answers with the queued statuses
+function createStub() {
+    const requests = [];
+    let statuses = [];
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => (body += chunk));
+        request.on('end', () => {
+            const { method, headers } = request;
+            requests.push({ method, headers, body: JSON.parse(body) });
+            response.writeHead(statuses.shift() ?? 200).end();
+        });
+    });
+    return {
+        requests,
+        server,
+        get url() {
+            return `http://127.0.0.1:${server.address().port}/hook`;
+        },
+        respondWith(...codes) {
+            statuses = codes;
+        },
+        reset() {
+            requests.length = 0;
+            statuses = [];
+        }
+    };
+}
+
+describe('summarizeJob', () => {
+    it('computes the failure rate of finished sessions', () => {
+        const summary = summarizeJob(createJob({ completedSessions: 6, failedSessions: 2 }));
+        assert.equal(summary.failureRate, 0.25);
+        assert.equal(summary.id, 'job-1');
+    });
+
+    it('reports a failure rate of 0 before any session finishes', () => {
+        assert.equal(summarizeJob(createJob({ completedSessions: 0 })).failureRate, 0);
+    });
+});
+
+describe('topErrors', () => {
+    it('groups errors by step and message, most frequent first', () => {
+        const errors = [
+            { session: 1, step: 'submit-login', error: 'Login failed' },
+            { session: 2, step: 'open-movie', error: 'Element not found' },
+            { session: 3, step: 'submit-login', error: 'Login failed' },
+            { session: 4, error: 'Timeout' }
+        ];
+        assert.deepEqual(topErrors(errors, 2), [
+            { step: 'submit-login', message: 'Login failed', count: 2 },
+            { step: 'open-movie', message: 'Element not found', count: 1 }
+        ]);
+        assert.deepEqual(topErrors(errors)[2], { step: null, message: 'Timeout', count: 1 });
+    });
+});
+
+describe('loadWebhookNotifier', () => {
+    it('is off unless WEBHOOK_URLS is set', () => {
+        assert.equal(loadWebhookNotifier({}), null);
+        assert.equal(loadWebhookNotifier({ WEBHOOK_URLS: ' , ' }), null);
+    });
+
+    it('rejects invalid settings', () => {
+        const url = 'http://127.0.0.1:9/hook';
+        const invalid = [
+            [{ WEBHOOK_URLS: 'not a url' }, /WEBHOOK_URLS contains an invalid URL/],
+            [{ WEBHOOK_URLS: url, WEBHOOK_EVENTS: 'job.started' }, /unknown events/],
+            [{ WEBHOOK_URLS: url, WEBHOOK_FAILURE_RATE_THRESHOLD: '0' }, /THRESHOLD must be/],
+            [{ WEBHOOK_URLS: url, WEBHOOK_MIN_SESSIONS: '0' }, /WEBHOOK_MIN_SESSIONS/],
+            [{ WEBHOOK_URLS: url, WEBHOOK_MAX_ATTEMPTS: '1.5' }, /WEBHOOK_MAX_ATTEMPTS/]
+        ];
+        for (const [env, message] of invalid) {
+            assert.throws(() => loadWebhookNotifier(env), message);
+        }
+    });
+});
+
+describe('createWebhookNotifier', () => {
+    const stub = createStub();
+
+    before(() => new Promise(resolve => stub.server.listen(0, '127.0.0.1', resolve)));
+    after(() => new Promise(resolve => stub.server.close(resolve)));
+    beforeEach(() => stub.reset());
+
+    it('posts job.finished as Slack-compatible JSON', async () => {
+        const notifier = createWebhookNotifier({ urls: [stub.url], delivery: noDelay });
+        await notifier.jobFinished(createJob());
+
+        assert.equal(stub.requests.length, 1);
+        const [{ method, headers, body }] = stub.requests;
+        assert.equal(method, 'POST');
+        assert.equal(headers['content-type'], 'application/json');
+        assert.equal(body.event, WEBHOOK_EVENTS.JOB_FINISHED);
+        assert.match(body.text, /job job-1 completed: 10\/10 sessions succeeded, 0 failed/);
+        assert.equal(body.job.failureRate, 0);
+        assert.deepEqual(body.topErrors, []);
+    });
+
+    it('sends job.failure_rate once per job when the threshold is crossed mid-job', async () => {
+        const notifier = createWebhookNotifier({
+            urls: [stub.url],
+            failureRateThreshold: 0.5,
+            minSessions: 2,
+            delivery: noDelay
+        });
+        const errors = [{ session: 1, step: 'submit-login', error: 'Login failed' }];
+        const running = (completedSessions, failedSessions) =>
+            createJob({ status: 'running', completedSessions, failedSessions, errors });
+        notifier.sessionFinished(running(0, 1));
+        notifier.sessionFinished(running(1, 1));
+        notifier.sessionFinished(running(1, 2));
+        await notifier.jobFinished(createJob({ completedSessions: 1, failedSessions: 2, errors }));
+
+        const events = stub.requests.map(request => request.body.event);
+        assert.deepEqual(events.sort(), [WEBHOOK_EVENTS.FAILURE_RATE, WEBHOOK_EVENTS.JOB_FINISHED]);
+        const alert = stub.requests.find(({ body }) => body.event === WEBHOOK_EVENTS.FAILURE_RATE);
+        assert.match(alert.body.text, /50% of finished sessions failed/);
+        assert.deepEqual(alert.body.topErrors, [
+            { step: 'submit-login', message: 'Login failed', count: 1 }
+        ]);
+    });
+
+    it('sends job.failure_rate at the end when too few sessions ran to check mid-job', async () => {
+        const notifier = createWebhookNotifier({
+            urls: [stub.url],
+            minSessions: 5,
+            delivery: noDelay
+        });
+        const job = createJob({ totalSessions: 2, completedSessions: 0, failedSessions: 2 });
+        await notifier.jobFinished(job);
+
+        const events = stub.requests.map(request => request.body.event).sort();
+        assert.deepEqual(events, [WEBHOOK_EVENTS.FAILURE_RATE, WEBHOOK_EVENTS.JOB_FINISHED]);
+    });
+
+    it('only sends the configured events', async () => {
+        const notifier = createWebhookNotifier({
+            urls: [stub.url],
+            events: [WEBHOOK_EVENTS.PROVIDER_CONNECTION_FAILED],
+            delivery: noDelay
+        });
+        await notifier.jobFinished(createJob());
+        await notifier.providerConnectionFailed('browserbase', new Error('401 Unauthorized'));
+
+        assert.equal(stub.requests.length, 1);
+        assert.equal(stub.requests[0].body.event, WEBHOOK_EVENTS.PROVIDER_CONNECTION_FAILED);
+        assert.equal(stub.requests[0].body.provider, 'browserbase');
+    });
+
+    it('retries server errors but not client errors, and never throws', async () => {
+        const notifier = createWebhookNotifier({ urls: [stub.url], delivery: noDelay });
+
+        stub.respondWith(503, 200);
+        await notifier.jobFinished(createJob());
+        assert.equal(stub.requests.length, 2);
+
+        stub.reset();
+        stub.respondWith(400);
+        await notifier.jobFinished(createJob());
+        assert.equal(stub.requests.length, 1);
+
+        stub.reset();
+        stub.respondWith(500, 500, 500);
+        await notifier.jobFinished(createJob());
+        assert.equal(stub.requests.length, noDelay.maxAttempts);
+    });
+
+    it('does not throw when the webhook is unreachable', async () => {
+        const urls = ['http://127.0.0.1:9/hook'];
+        const notifier = createWebhookNotifier({ urls, delivery: noDelay });
+        await notifier.jobFinished(createJob());
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * logger.js
+ * Leveled logger that writes one JSON object per line
+ *
+ * Correlation fields (job ID, session number, provider session ID, step) live in
+ * an async context, so every line logged while a session runs carries them
+ * without passing a logger through each helper. Concurrent sessions each get
+ * their own context.
+ *
+ * LOG_LEVEL picks the minimum level (debug, info, warn, error, silent; default info).
+ * LOG_FORMAT=pretty switches to human-readable lines for local runs.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+};
+
+const logContext = new AsyncLocalStorage();
+
+const settings = {
+  level: LEVELS.info,
+  format: 'json',
+};
+
+/**
+ * Applies LOG_LEVEL and LOG_FORMAT, falling back to the defaults for unknown values
+ * @param {Object} env - Environment variables, usually process.env
+ */
+function configureLogger(env = process.env) {
+  const level = (env.LOG_LEVEL || 'info').toLowerCase();
+  settings.level = LEVELS[level] ?? LEVELS.info;
+  settings.format = env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+  if (!(level in LEVELS)) {
+    rootLogger.warn(`Unknown LOG_LEVEL "${env.LOG_LEVEL}", using info`);
+  }
+}
+
+/**
+ * Runs a function with extra correlation fields on every line it logs,
+ * including lines from anything it awaits
+ * @param {Object} fields - Fields to add, e.g. { jobId }
+ * @param {function(): *} fn - Function to run
+ * @returns {*} Whatever fn returns
+ */
+function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Adds or updates correlation fields for the rest of the current context,
+ * e.g. the provider session ID once it's known or the step that's running
+ * @param {Object} fields - Fields to set, undefined values remove the field
+ */
+function setLogContext(fields) {
+  const store = logContext.getStore();
+  if (!store) return;
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) {
+      delete store[key];
+    } else {
+      store[key] = value;
+    }
+  }
+}
+
+function serialize(value) {
+  if (value instanceof Error) {
+    return { message: value.message, ...(value.step && { step: value.step }), stack: value.stack };
+  }
+  return value;
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const details = Object.entries(fields)
+    .map(([key, value]) => {
+      const shown = value && typeof value === 'object' ? value.message ?? JSON.stringify(value) : value;
+      return `${key}=${shown}`;
+    })
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ` (${details})` : ''}`;
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < settings.level) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...logContext.getStore(),
+    ...bindings,
+  };
+  for (const [key, value] of Object.entries(fields || {})) {
+    entry[key] = serialize(value);
+  }
+
+  const line = settings.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+/**
+ * Creates a logger with fixed fields on every line
+ * @param {Object} [bindings] - Fields to add to every line, e.g. { component: 'scheduler' }
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}}
+ *   Level methods take (msg, fields); child(bindings) adds more fixed fields
+ */
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    child: (childBindings) => createLogger({ ...bindings, ...childBindings }),
+  };
+}
+
+const rootLogger = createLogger();
+
+configureLogger(process.env);
+
+export {
+  LEVELS,
+  configureLogger,
+  createLogger,
+  rootLogger as logger,
+  setLogContext,
+  withLogContext,
+};
@@ -1,11 +1,14 @@
 /**
  * mouseMove.js
- * Utilities for simulating human-like mouse movements in Playwright
+ * Utilities for simulating human-like mouse movements, typing, scrolling and reading in Playwright
  */
 
+import { logger } from './logger.js';
+import { pick } from './random.js';
+
 // Utility function to generate random number within a range
-function randomNumber(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+function randomNumber(min, max, random = Math.random) {
+  return Math.floor(random() * (max - min + 1)) + min;
 }
 
 /**
@@ -15,14 +18,15 @@ function randomNumber(min, max) {
  * @param {number} endX - Ending X coordinate
  * @param {number} endY - Ending Y coordinate
  * @param {number} numPoints - Number of points to generate
+ * @param {function(): number} [random] - Random source, defaults to Math.random
  * @returns {Array<{x: number, y: number}>} Array of coordinate points
  */
-function getBezierPoints(startX, startY, endX, endY, numPoints = 10) {
+function getBezierPoints(startX, startY, endX, endY, numPoints = 10, random = Math.random) {
   // Create control points for natural curve with some randomization
-  const controlX1 = startX + (endX - startX) / 3 + randomNumber(-50, 50);
-  const controlY1 = startY + (endY - startY) / 3 + randomNumber(-50, 50);
-  const controlX2 = startX + (2 * (endX - startX)) / 3 + randomNumber(-50, 50);
-  const controlY2 = endY + (startY - endY) / 3 + randomNumber(-50, 50);
+  const controlX1 = startX + (endX - startX) / 3 + randomNumber(-50, 50, random);
+  const controlY1 = startY + (endY - startY) / 3 + randomNumber(-50, 50, random);
+  const controlX2 = startX + (2 * (endX - startX)) / 3 + randomNumber(-50, 50, random);
+  const controlY2 = endY + (startY - endY) / 3 + randomNumber(-50, 50, random);
 
   const points = [];
   for (let i = 0; i <= numPoints; i++) {
@@ -47,9 +51,11 @@ function getBezierPoints(startX, startY, endX, endY, numPoints = 10) {
  * @param {import('playwright').Page} page - Playwright page object
  * @param {import('playwright').ElementHandle} element - Target element
  * @param {Object} options - Additional options for movement
+ * @param {function(): number} [options.random] - Random source, defaults to Math.random
  * @returns {Promise<void>}
  */
 async function moveMouseHuman(page, element, options = {}) {
+  const { random = Math.random } = options;
   try {
     // Get element position
     const elementHandle = await element.boundingBox();
@@ -62,8 +68,8 @@ async function moveMouseHuman(page, element, options = {}) {
     }));
 
     // Calculate target position with slight randomization
-    const targetX = elementHandle.x + elementHandle.width / 2 + randomNumber(-10, 10);
-    const targetY = elementHandle.y + elementHandle.height / 2 + randomNumber(-10, 10);
+    const targetX = elementHandle.x + elementHandle.width / 2 + randomNumber(-10, 10, random);
+    const targetY = elementHandle.y + elementHandle.height / 2 + randomNumber(-10, 10, random);
 
     // Generate movement points
     const points = getBezierPoints(
@@ -71,13 +77,14 @@ async function moveMouseHuman(page, element, options = {}) {
       currentPosition.y,
       targetX,
       targetY,
-      randomNumber(10, 20)
+      randomNumber(10, 20, random),
+      random
     );
 
     // Move through points with random delays
     for (const point of points) {
       await page.mouse.move(point.x, point.y);
-      await page.waitForTimeout(randomNumber(10, 25));
+      await page.waitForTimeout(randomNumber(10, 25, random));
     }
 
     // Store final position in page context
@@ -89,7 +96,35 @@ async function moveMouseHuman(page, element, options = {}) {
       { x: targetX, y: targetY }
     );
   } catch (error) {
-    console.warn('Mouse movement failed:', error.message);
+    logger.warn('Mouse movement failed', { error: error.message });
+  }
+}
+
+// How long clicks, taps and typing wait for their element before the step fails
+const ELEMENT_TIMEOUT_MS = 10000;
+
+/**
+ * Waits for an element to be visible. A missing element fails with a plain error rather
+ * than a TimeoutError, so the session isn't retried as if the page were just slow.
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string|Object} target - Selector, element handle or locator
+ * @param {number} [timeout] - Milliseconds to wait, defaults to ELEMENT_TIMEOUT_MS
+ * @returns {Promise<Object>} Element handle, or the locator that was passed in
+ * @throws {Error} If the element isn't visible in time
+ */
+async function waitForElement(page, target, timeout = ELEMENT_TIMEOUT_MS) {
+  try {
+    if (typeof target === 'string') {
+      return await page.waitForSelector(target, { state: 'visible', timeout });
+    }
+    // Locators can wait, element handles already exist
+    if (typeof target.waitFor === 'function') {
+      await target.waitFor({ state: 'visible', timeout });
+    }
+    return target;
+  } catch (error) {
+    if (error.name !== 'TimeoutError') throw error;
+    throw new Error(`Element not found: ${typeof target === 'string' ? target : target.toString()}`);
   }
 }
 
@@ -97,79 +132,391 @@ async function moveMouseHuman(page, element, options = {}) {
  * Performs a natural mouse click on an element
  * @param {import('playwright').Page} page - Playwright page object
  * @param {string} selector - Element selector
+ * @param {Object} [options] - Optional settings
+ * @param {function(): number} [options.random] - Random source, defaults to Math.random
  * @returns {Promise<void>}
+ * @throws {Error} If the element never shows up or can't be clicked
  */
-async function naturalClick(page, selector) {
+async function naturalClick(page, selector, options = {}) {
+  const { random = Math.random } = options;
+  const element = await waitForElement(page, selector);
   try {
-    const element = await page.$(selector);
-    if (!element) return;
-
-    // Move to element
-    await moveMouseHuman(page, element);
+    // Bring it on screen, then move to element
+    await scrollIntoViewNatural(page, element, { random });
+    await moveMouseHuman(page, element, { random });
 
     // Add human reaction time delay
-    await page.waitForTimeout(randomNumber(100, 200));
+    await page.waitForTimeout(randomNumber(100, 200, random));
 
     // Click with random pressure duration
     await page.mouse.down();
-    await page.waitForTimeout(randomNumber(50, 150));
+    await page.waitForTimeout(randomNumber(50, 150, random));
     await page.mouse.up();
   } catch (error) {
-    console.warn('Natural click failed:', error.message);
-    // Fallback to regular click
-    await page.click(selector).catch(() => {});
+    logger.warn('Natural click failed', { selector, error: error.message });
+    // Fallback to regular click, which fails the step if it can't click either
+    await element.click();
+  }
+}
+
+/**
+ * Reads the scroll position and viewport size
+ * @param {import('playwright').Page} page - Playwright page object
+ * @returns {Promise<{scrollY: number, innerHeight: number, scrollHeight: number, innerWidth: number}>}
+ */
+function readViewport(page) {
+  return page.evaluate(() => ({
+    scrollY: window.scrollY,
+    innerHeight: window.innerHeight,
+    scrollHeight: document.body.scrollHeight,
+    innerWidth: window.innerWidth,
+  }));
+}
+
+// Wheel deltas below this end a flick
+const MIN_WHEEL_DELTA = 4;
+
+/**
+ * Scrolls with mouse wheel events, in flicks that start fast and slow down like
+ * momentum scrolling on a trackpad or free-spinning wheel
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {number} distance - Pixels to scroll, negative scrolls up
+ * @param {Object} [options] - Optional settings
+ * @param {function(): number} [options.random] - Random source, defaults to Math.random
+ * @returns {Promise<void>}
+ */
+async function wheelScroll(page, distance, options = {}) {
+  const { random = Math.random } = options;
+  const direction = Math.sign(distance);
+  let remaining = Math.abs(Math.round(distance));
+
+  while (remaining > 0) {
+    let delta = randomNumber(80, 140, random);
+    while (remaining > 0 && delta >= MIN_WHEEL_DELTA) {
+      const tick = Math.min(delta, remaining);
+      await page.mouse.wheel(0, direction * tick);
+      remaining -= tick;
+      await page.waitForTimeout(randomNumber(15, 35, random));
+      delta = Math.round(delta * (0.75 + random() * 0.15));
+    }
+    // Between flicks
+    if (remaining > 0) {
+      await page.waitForTimeout(randomNumber(80, 250, random));
+    }
   }
 }
 
 /**
- * Performs a natural scroll movement
+ * Wheel-scrolls an element comfortably on screen, if it isn't already
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {import('playwright').ElementHandle|import('playwright').Locator} element - Target element
+ * @param {Object} [options] - Optional settings
+ * @param {function(): number} [options.random] - Random source, defaults to Math.random
+ * @returns {Promise<void>}
+ */
+async function scrollIntoViewNatural(page, element, options = {}) {
+  const { random = Math.random } = options;
+  const box = await element.boundingBox();
+  if (!box) return;
+  const { innerHeight } = await readViewport(page);
+  const center = box.y + box.height / 2;
+  if (center > innerHeight * 0.1 && center < innerHeight * 0.9) return;
+
+  await wheelScroll(page, center - innerHeight * (0.3 + random() * 0.3), { random });
+  await page.waitForTimeout(randomNumber(200, 500, random));
+}
+
+/**
+ * Performs a natural scroll movement with the mouse wheel, sometimes overshooting
+ * on the way down and coming back up
  * @param {import('playwright').Page} page - Playwright page object
  * @param {number} targetPosition - Scroll target position
+ * @param {Object} [options] - Optional settings
+ * @param {function(): number} [options.random] - Random source, defaults to Math.random
  * @returns {Promise<void>}
  */
-async function naturalScroll(page, targetPosition) {
+async function naturalScroll(page, targetPosition, options = {}) {
+  const { random = Math.random } = options;
   try {
-    await page.evaluate((scrollTarget) => {
-      window.scrollTo({
-        top: scrollTarget,
-        behavior: 'smooth',
-      });
-    }, targetPosition);
-    await page.waitForTimeout(randomNumber(500, 1000));
+    const viewport = await readViewport(page);
+    const maxScroll = Math.max(0, viewport.scrollHeight - viewport.innerHeight);
+    const target = Math.min(Math.max(targetPosition, 0), maxScroll);
+    const distance = target - viewport.scrollY;
+    const overshoot =
+      distance > 0 && target < maxScroll && random() < 0.2 ? randomNumber(80, 250, random) : 0;
+
+    await wheelScroll(page, distance + overshoot, { random });
+    if (overshoot) {
+      await page.waitForTimeout(randomNumber(300, 700, random));
+      await wheelScroll(page, -overshoot, { random });
+    }
+    await page.waitForTimeout(randomNumber(500, 1000, random));
   } catch (error) {
-    console.warn('Smooth scroll failed:', error.message);
+    logger.warn('Smooth scroll failed', { error: error.message });
   }
 }
 
+// Elements checked for visibility when picking something to hover
+const MAX_HOVER_CANDIDATES = 30;
+
+/**
+ * Moves the mouse over one of the elements on screen and lingers there
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string} selector - Selector for hover targets, e.g. movie cards
+ * @param {Object} [options] - Optional settings
+ * @param {function(): number} [options.random] - Random source, defaults to Math.random
+ * @returns {Promise<boolean>} False if none of the elements is on screen
+ */
+async function hoverVisible(page, selector, options = {}) {
+  const { random = Math.random } = options;
+  const { innerHeight } = await readViewport(page);
+  const visible = [];
+  for (const element of (await page.$$(selector)).slice(0, MAX_HOVER_CANDIDATES)) {
+    const box = await element.boundingBox();
+    if (box && box.y >= 0 && box.y + box.height <= innerHeight) visible.push(element);
+  }
+  if (visible.length === 0) return false;
+
+  await moveMouseHuman(page, pick(visible, random), { random });
+  await page.waitForTimeout(randomNumber(400, 1500, random));
+  return true;
+}
+
+/**
+ * Default reading behavior, personas override any of these through their `reading` settings
+ * - seconds: time spent reading a page at the `read` step's default scale
+ * - dwell: pause in ms over each screenful before moving on
+ * - scrollBackRate: chance per screenful of scrolling back up to re-read something
+ * - hoverRate: chance per screenful of hovering over a card (mouse only)
+ */
+const DEFAULT_READING = {
+  seconds: { min: 8, max: 25 },
+  dwell: { min: 800, max: 2500 },
+  scrollBackRate: 0.15,
+  hoverRate: 0.25,
+};
+
+// Rough time a scroll takes, counted against the reading time
+const SCROLL_ESTIMATE_MS = 800;
+
+/**
+ * Merges a persona's reading settings over the defaults
+ * @param {Object} [reading] - Partial reading settings, see DEFAULT_READING
+ * @returns {Object} Complete reading settings
+ */
+function readingProfile(reading = {}) {
+  return { ...DEFAULT_READING, ...reading };
+}
+
 /**
- * Moves to an input field and types with human-like delays
+ * Reads a page: scrolls down a screenful at a time, pausing over what's visible,
+ * now and then scrolling back up or hovering over a card, until the reading time
+ * is used up or the page ends. Leaves real scroll and mouse events behind, so
+ * PostHog gets scroll depth and heatmap data.
  * @param {import('playwright').Page} page - Playwright page object
- * @param {string} selector - Input field selector
+ * @param {Object} [options] - Optional settings
+ * @param {function(): number} [options.random] - Random source, defaults to Math.random
+ * @param {Object} [options.reading] - Reading settings, see DEFAULT_READING
+ * @param {number} [options.scale] - Multiplies the reading time, e.g. 0.5 for a skim
+ * @param {string} [options.hover] - Selector for cards worth hovering over
+ * @param {Object} [options.touch] - Touch driver from touch.js, scrolls by swiping and never hovers
+ * @returns {Promise<{durationMs: number, maxScrollPercent: number}>} Reading time and how far down
+ *   the page got (0-100)
+ */
+async function readPage(page, options = {}) {
+  const { random = Math.random, scale = 1, hover, touch } = options;
+  const profile = readingProfile(options.reading);
+  const budget =
+    randomNumber(profile.seconds.min * 1000, profile.seconds.max * 1000, random) * scale;
+  const startedAt = Date.now();
+  let spent = 0;
+  let maxScrollPercent = 0;
+
+  const scrollTo = (target) =>
+    touch ? touch.swipeScroll(target) : naturalScroll(page, target, { random });
+
+  const measure = async () => {
+    const viewport = await readViewport(page);
+    const maxScroll = Math.max(0, viewport.scrollHeight - viewport.innerHeight);
+    maxScrollPercent = Math.max(
+      maxScrollPercent,
+      maxScroll > 0 ? Math.round((viewport.scrollY / maxScroll) * 100) : 100
+    );
+    return { ...viewport, maxScroll };
+  };
+
+  // Time is counted from the pauses chosen, not the clock, so a seed replays the same reading
+  while (spent < budget) {
+    const viewport = await measure();
+
+    const action = random();
+    if (action < profile.scrollBackRate && viewport.scrollY > 0) {
+      await scrollTo(viewport.scrollY - viewport.innerHeight * (0.2 + random() * 0.4));
+      spent += SCROLL_ESTIMATE_MS;
+    } else if (hover && !touch && action < profile.scrollBackRate + profile.hoverRate) {
+      await hoverVisible(page, hover, { random });
+    } else if (viewport.scrollY < viewport.maxScroll - MIN_WHEEL_DELTA) {
+      await scrollTo(viewport.scrollY + viewport.innerHeight * (0.3 + random() * 0.5));
+      spent += SCROLL_ESTIMATE_MS;
+    } else {
+      // Read to the end of the page
+      break;
+    }
+
+    const dwell = randomNumber(profile.dwell.min, profile.dwell.max, random);
+    await page.waitForTimeout(dwell);
+    spent += dwell;
+  }
+  await measure();
+
+  return { durationMs: Date.now() - startedAt, maxScrollPercent };
+}
+
+/**
+ * Default keystroke model, personas override any of these through their `typing` settings
+ * - wpm: typing speed in words (5 characters) per minute
+ * - burstRate: chance a run of characters comes out at twice the speed
+ * - typoRate: chance per character of hitting a neighbouring key and correcting it
+ * - hesitation: pause in ms after focusing a field, before the first key
+ * - pasteRate: chance a `paste` field (passwords) is pasted from a password manager
+ */
+const DEFAULT_TYPING = {
+  wpm: 40,
+  burstRate: 0.2,
+  typoRate: 0.03,
+  hesitation: { min: 300, max: 1200 },
+  pasteRate: 0.5,
+};
+
+// Neighbouring keys on a QWERTY keyboard, for typos
+const KEY_NEIGHBOURS = {
+  a: 'qwsz', b: 'vghn', c: 'xdfv', d: 'serfcx', e: 'wsdr', f: 'drtgvc', g: 'ftyhbv',
+  h: 'gyujnb', i: 'ujko', j: 'huikmn', k: 'jiolm', l: 'kop', m: 'njk', n: 'bhjm',
+  o: 'iklp', p: 'ol', q: 'wa', r: 'edft', s: 'awedxz', t: 'rfgy', u: 'yhji',
+  v: 'cfgb', w: 'qase', x: 'zsdc', y: 'tghu', z: 'asx',
+  1: '2q', 2: '13w', 3: '24e', 4: '35r', 5: '46t', 6: '57y', 7: '68u', 8: '79i', 9: '80o', 0: '9p',
+};
+
+/**
+ * Merges a persona's typing settings over the defaults
+ * @param {Object} [typing] - Partial typing settings, see DEFAULT_TYPING
+ * @returns {Object} Complete typing settings
+ */
+function typingProfile(typing = {}) {
+  return { ...DEFAULT_TYPING, ...typing };
+}
+
+function wrongKey(char, random) {
+  const neighbours = KEY_NEIGHBOURS[char.toLowerCase()];
+  if (!neighbours) return char;
+  const key = neighbours[Math.floor(random() * neighbours.length)];
+  return char === char.toLowerCase() ? key : key.toUpperCase();
+}
+
+// Milliseconds until the next key: slower after separators, faster inside a burst
+function keyInterval(char, profile, inBurst, random) {
+  const base = 60000 / (profile.wpm * 5);
+  let interval = base * (0.6 + random() * 0.8);
+  if (inBurst) interval /= 2;
+  if (/[\s@._-]/.test(char)) interval += randomNumber(100, 400, random);
+  return Math.round(interval);
+}
+
+async function pressKey(page, char, random) {
+  await page.keyboard.type(char, { delay: randomNumber(30, 90, random) });
+}
+
+/**
+ * Types text one key at a time: bursts of faster keys, slower keys around
+ * separators, and typos that are noticed a key or two later and backspaced
+ * @param {import('playwright').Page} page - Playwright page object, with the field focused
  * @param {string} text - Text to type
+ * @param {Object} profile - Typing settings from typingProfile
+ * @param {function(): number} random - Random source
+ */
+async function typeKeystrokes(page, text, profile, random) {
+  let burstLeft = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (burstLeft === 0 && random() < profile.burstRate) {
+      burstLeft = randomNumber(3, 8, random);
+    }
+    const inBurst = burstLeft > 0;
+    if (inBurst) burstLeft--;
+
+    const char = text[i];
+    const typo = random() < profile.typoRate ? wrongKey(char, random) : char;
+    if (typo === char) {
+      await pressKey(page, char, random);
+      await page.waitForTimeout(keyInterval(char, profile, inBurst, random));
+      continue;
+    }
+
+    // Wrong key, maybe a couple more keys before noticing, then backspace back to it
+    const carriedOn = text.slice(i + 1, i + 1 + randomNumber(0, 2, random));
+    for (const key of typo + carriedOn) {
+      await pressKey(page, key, random);
+      await page.waitForTimeout(keyInterval(key, profile, inBurst, random));
+    }
+    await page.waitForTimeout(randomNumber(200, 600, random));
+    for (let j = 0; j <= carriedOn.length; j++) {
+      await page.keyboard.press('Backspace');
+      await page.waitForTimeout(randomNumber(60, 160, random));
+    }
+    await pressKey(page, char, random);
+    await page.waitForTimeout(keyInterval(char, profile, inBurst, random));
+  }
+}
+
+/**
+ * Moves to an input field, clicks it and types with a keystroke model
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string|import('playwright').Locator} field - Input field selector or locator
+ * @param {string} text - Text to type, replacing what the field holds
+ * @param {Object} [options] - Optional settings
+ * @param {function(): number} [options.random] - Random source, defaults to Math.random
+ * @param {Object} [options.typing] - Typing settings, see DEFAULT_TYPING
+ * @param {boolean} [options.paste] - Paste the text in one go instead of typing it
+ * @param {Object} [options.touch] - Touch driver from touch.js, the field is tapped instead of clicked
  * @returns {Promise<void>}
+ * @throws {Error} If the field never shows up or can't be filled
  */
-async function naturalType(page, selector, text) {
+async function naturalType(page, field, text, options = {}) {
+  const { random = Math.random, paste = false } = options;
+  const profile = typingProfile(options.typing);
+  const element = typeof field === 'string' ? page.locator(field).first() : field;
+  await waitForElement(page, element);
   try {
-    const element = await page.$(selector);
-    if (!element) return;
+    if (options.touch) {
+      await options.touch.tap(element);
+    } else {
+      // Move to input field
+      await scrollIntoViewNatural(page, element, { random });
+      await moveMouseHuman(page, element, { random });
+      await page.waitForTimeout(randomNumber(100, 200, random));
 
-    // Move to input field
-    await moveMouseHuman(page, element);
-    await page.waitForTimeout(randomNumber(100, 200));
+      // Click the input field
+      await page.mouse.down();
+      await page.waitForTimeout(randomNumber(50, 150, random));
+      await page.mouse.up();
+    }
 
-    // Click the input field
-    await page.mouse.down();
-    await page.waitForTimeout(randomNumber(50, 150));
-    await page.mouse.up();
+    // Replace whatever is there, e.g. a value the user is correcting
+    if (await element.inputValue().catch(() => '')) {
+      await page.keyboard.press('ControlOrMeta+A');
+      await page.keyboard.press('Backspace');
+    }
+    await page.waitForTimeout(randomNumber(profile.hesitation.min, profile.hesitation.max, random));
 
-    // Type with random delays between characters
-    for (const char of text) {
-      await page.keyboard.type(char, { delay: randomNumber(100, 200) });
+    if (paste) {
+      // Shows up in replays as the whole value arriving at once, like a password manager paste
+      await page.keyboard.insertText(text);
+    } else {
+      await typeKeystrokes(page, text, profile, random);
     }
   } catch (error) {
-    console.warn('Natural typing failed:', error.message);
-    // Fallback to regular fill
-    await page.fill(selector, text).catch(() => {});
+    logger.warn('Natural typing failed', { error: error.message });
+    // Fallback to regular fill, which fails the step if it can't fill either
+    await element.fill(text);
   }
 }
 
@@ -190,19 +537,29 @@ const PAUSE_TYPES = {
  * Simulates a natural human pause
  * @param {import('playwright').Page} page - Playwright page object
  * @param {string} pauseType - Type of pause from PAUSE_TYPES
- * @param {Object} options - Optional override for min/max
+ * @param {Object} options - Optional override for min/max, and `random` source
  */
 async function humanPause(page, pauseType = 'SHORT', options = {}) {
   const range = PAUSE_TYPES[pauseType] || PAUSE_TYPES.SHORT;
-  const delay = randomNumber(options.min || range.min, options.max || range.max);
+  const delay = randomNumber(options.min || range.min, options.max || range.max, options.random);
   await page.waitForTimeout(delay);
 }
 
 export {
+  DEFAULT_READING,
+  DEFAULT_TYPING,
   moveMouseHuman,
   naturalClick,
   naturalScroll,
   naturalType,
+  readPage,
+  readViewport,
+  readingProfile,
+  hoverVisible,
+  scrollIntoViewNatural,
+  typingProfile,
+  waitForElement,
+  wheelScroll,
   randomNumber,
   getBezierPoints,
   humanPause,
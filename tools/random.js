@@ -0,0 +1,128 @@
+/**
+ * random.js
+ * Seedable random number generation and weighted selection helpers
+ *
+ * Every helper that takes a `random` argument expects a function with the same
+ * contract as Math.random (a float in [0, 1)) and falls back to Math.random.
+ */
+
+import { randomInt } from 'crypto';
+
+/**
+ * Hashes a string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} value - String to hash
+ * @returns {number} 32-bit unsigned integer
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Normalizes a seed (number or string) into a 32-bit unsigned integer
+ * @param {number|string} seed - Seed value
+ * @returns {number} 32-bit unsigned integer
+ */
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(seed) >>> 0;
+  }
+  // Numeric strings (e.g. from env vars or CLI flags) match the logged numeric seed
+  if (typeof seed === 'string' && /^\d+$/.test(seed)) {
+    return Number(seed) >>> 0;
+  }
+  return hashString(String(seed));
+}
+
+/**
+ * Generates a fresh seed for runs that weren't given one
+ * @returns {number} 32-bit unsigned integer
+ */
+function generateSeed() {
+  return randomInt(0, 2 ** 32 - 1);
+}
+
+/**
+ * Derives a child seed, e.g. one per session from a job seed, so each session
+ * reproduces regardless of the order sessions run in
+ * @param {number|string} seed - Parent seed
+ * @param {...(number|string)} parts - Values identifying the child
+ * @returns {number} 32-bit unsigned integer
+ */
+function deriveSeed(seed, ...parts) {
+  return hashString([normalizeSeed(seed), ...parts].join(':'));
+}
+
+/**
+ * Creates a seeded PRNG (mulberry32) with the same contract as Math.random
+ * @param {number|string} seed - Seed value
+ * @returns {function(): number} Function returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = normalizeSeed(seed);
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Picks a random element from a list
+ * @param {Array} items - Items to pick from
+ * @param {function(): number} [random] - Random source
+ * @returns {*} Picked item
+ */
+function pick(items, random = Math.random) {
+  return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Picks a key from a map of weights, e.g. { desktop: 0.7, mobile: 0.3 }
+ * Keys with a zero or negative weight are never picked.
+ * @param {Object<string, number>} weights - Map of key to relative weight
+ * @param {function(): number} [random] - Random source
+ * @returns {string|undefined} Picked key, or undefined if no key has a positive weight
+ */
+function weightedPick(weights, random = Math.random) {
+  const entries = Object.entries(weights || {}).filter(([, weight]) => weight > 0);
+  const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  if (totalWeight === 0) return undefined;
+
+  let roll = random() * totalWeight;
+  for (const [key, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return key;
+  }
+  return entries[entries.length - 1][0];
+}
+
+/**
+ * Picks an item from a list, weighted by each item's `weight` property (default 1)
+ * @param {Array<{weight?: number}>} items - Items to pick from
+ * @param {function(): number} [random] - Random source
+ * @returns {*} Picked item, or undefined for an empty list
+ */
+function weightedPickItem(items, random = Math.random) {
+  const index = weightedPick(
+    Object.fromEntries(items.map((item, i) => [i, item.weight ?? 1])),
+    random
+  );
+  return index === undefined ? undefined : items[Number(index)];
+}
+
+export {
+  createRandom,
+  deriveSeed,
+  generateSeed,
+  normalizeSeed,
+  pick,
+  weightedPick,
+  weightedPickItem,
+};
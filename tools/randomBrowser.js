@@ -1,4 +1,5 @@
 import { chromium } from 'playwright-core';
+import { pick, weightedPick } from './random.js';
 
 const DEVICE_TYPES = {
   DESKTOP: 'desktop',
@@ -6,6 +7,8 @@ const DEVICE_TYPES = {
   MOBILE: 'mobile',
 };
 
+// Emulation settings per device, applied to the browser context by the provider.
+// Phones and tablets need a matching user agent so analytics report the right device.
 const deviceConfigs = {
   desktop: {
     viewport: { width: 1920, height: 1080 },
@@ -14,45 +17,65 @@ const deviceConfigs = {
     hasTouch: false,
   },
   tablet: {
-    viewport: { width: 1024, height: 768 },
-    deviceScaleFactor: 2,
-    isMobile: true,
-    hasTouch: true,
+    ipad: {
+      userAgent:
+        'Mozilla/5.0 (iPad; CPU OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1',
+      viewport: { width: 820, height: 1180 },
+      deviceScaleFactor: 2,
+      isMobile: true,
+      hasTouch: true,
+    },
+    galaxyTab: {
+      userAgent:
+        'Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
+      viewport: { width: 800, height: 1280 },
+      deviceScaleFactor: 2,
+      isMobile: true,
+      hasTouch: true,
+    },
   },
   mobile: {
     iphone: {
-      userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_4 like Mac OS X)',
+      userAgent:
+        'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1',
       viewport: { width: 390, height: 844 },
       deviceScaleFactor: 3,
       isMobile: true,
       hasTouch: true,
     },
     android: {
-      userAgent: 'Mozilla/5.0 (Linux; Android 12; Pixel 6)',
-      viewport: { width: 393, height: 851 },
-      deviceScaleFactor: 2.75,
+      userAgent:
+        'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36',
+      viewport: { width: 412, height: 915 },
+      deviceScaleFactor: 2.625,
       isMobile: true,
       hasTouch: true,
     },
   },
 };
 
-async function randomizeBrowser() {
+/**
+ * Picks a device type and its emulation config
+ * @param {Object} [persona] - Persona whose `devices` weights drive the pick, uniform otherwise
+ * @param {function(): number} [random] - Random source, defaults to Math.random
+ * @returns {Promise<{browserType: string, deviceType: string, deviceConfig: Object}>}
+ */
+async function randomizeBrowser(persona, random = Math.random) {
   // Only use Chromium for Browserbase
   const browserType = chromium;
 
-  // Random device type selection
+  // Device type selection, weighted by persona when one is given
   const deviceTypes = Object.values(DEVICE_TYPES);
-  const randomDeviceType = deviceTypes[Math.floor(Math.random() * deviceTypes.length)];
+  const randomDeviceType = weightedPick(persona?.devices, random) || pick(deviceTypes, random);
 
   let deviceConfig;
 
-  if (randomDeviceType === DEVICE_TYPES.MOBILE) {
-    const mobileTypes = ['iphone', 'android'];
-    const randomMobileType = mobileTypes[Math.floor(Math.random() * mobileTypes.length)];
-    deviceConfig = deviceConfigs.mobile[randomMobileType];
+  if (randomDeviceType === DEVICE_TYPES.DESKTOP) {
+    deviceConfig = deviceConfigs.desktop;
   } else {
-    deviceConfig = deviceConfigs[randomDeviceType];
+    // Phones and tablets come in a few models
+    const models = deviceConfigs[randomDeviceType];
+    deviceConfig = models[pick(Object.keys(models), random)];
   }
 
   return {
@@ -1,3 +1,5 @@
+import { pick, weightedPick } from './random.js';
+
 const cities = [
   {
     city: "New York",
@@ -142,16 +144,36 @@ const cities = [
   }
 ];
 
+/**
+ * Looks up one of the predefined cities by name (case-insensitive)
+ * @param {string} name - City name, e.g. "London"
+ * @returns {Object} City entry
+ * @throws {Error} If the city isn't in the list
+ */
+export function findCity(name) {
+  const city = cities.find((c) => c.city.toLowerCase() === String(name).toLowerCase());
+  if (!city) {
+    throw new Error(`Unknown city "${name}", expected one of: ${cities.map((c) => c.city).join(', ')}`);
+  }
+  return city;
+}
+
 /**
  * Returns a random geolocation from the predefined list of cities
+ * @param {Object} [persona] - Persona whose `countries` weights pick the country first
+ * @param {function(): number} [random] - Random source, defaults to Math.random
+ * @param {string} [cityName] - Use this city instead of picking one
  * @returns {Object} Object containing latitude, longitude, city, country, and state (if US)
  */
-export function randomizeGeolocation() {
-  const randomCity = cities[Math.floor(Math.random() * cities.length)];
+export function randomizeGeolocation(persona, random = Math.random, cityName) {
+  const country = weightedPick(persona?.countries, random);
+  const countryCities = cities.filter((city) => city.country === country);
+  const candidates = countryCities.length > 0 ? countryCities : cities;
+  const randomCity = cityName ? findCity(cityName) : pick(candidates, random);
   
   // Add small random variation to the exact coordinates (within roughly 5km)
-  const latVariation = (Math.random() - 0.5) * 0.05;
-  const longVariation = (Math.random() - 0.5) * 0.05;
+  const latVariation = (random() - 0.5) * 0.05;
+  const longVariation = (random() - 0.5) * 0.05;
   
   const location = {
     latitude: randomCity.latitude + latVariation,
@@ -0,0 +1,289 @@
+/**
+ * randomIdentity.js
+ * Generates plausible sign-up identities (name, username, email, password)
+ * that match the session's country
+ */
+
+import { pick, weightedPick } from './random.js';
+
+/**
+ * Locale packs keyed by country code. Each pack has first and last names
+ * and a weighted pool of email domains people in that country actually use.
+ */
+const LOCALE_PACKS = {
+  US: {
+    locale: 'en-US',
+    firstNames: [
+      'James', 'Mary', 'Michael', 'Jennifer', 'David', 'Linda', 'Chris', 'Jessica', 'Daniel',
+      'Ashley', 'Matthew', 'Emily', 'Andrew', 'Sarah', 'Joshua', 'Megan', 'Ryan', 'Lauren',
+      'Brandon', 'Rachel', 'Tyler', 'Olivia', 'Kevin', 'Hannah', 'Jose', 'Maria', 'Wei', 'Priya',
+    ],
+    lastNames: [
+      'Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis', 'Rodriguez',
+      'Martinez', 'Wilson', 'Anderson', 'Taylor', 'Thomas', 'Moore', 'Jackson', 'Lee', 'Harris',
+      'Clark', 'Lewis', 'Walker', 'Young', 'Nguyen', 'Patel', 'Kim', 'Chen',
+    ],
+    domains: {
+      'gmail.com': 50, 'yahoo.com': 12, 'outlook.com': 10, 'hotmail.com': 8, 'icloud.com': 12,
+      'aol.com': 3,
+    },
+  },
+  GB: {
+    locale: 'en-GB',
+    firstNames: [
+      'Oliver', 'Amelia', 'George', 'Isla', 'Harry', 'Ava', 'Jack', 'Emily', 'Charlie', 'Sophie',
+      'Thomas', 'Grace', 'Oscar', 'Lily', 'William', 'Freya', 'James', 'Poppy', 'Alfie', 'Chloe',
+      'Callum', 'Niamh', 'Rhys', 'Aisha',
+    ],
+    lastNames: [
+      'Smith', 'Jones', 'Taylor', 'Brown', 'Williams', 'Wilson', 'Johnson', 'Davies', 'Evans',
+      'Thomas', 'Roberts', 'Walker', 'Wright', 'Thompson', 'Hughes', 'Edwards', 'Green', 'Hall',
+      'Wood', 'Clarke', 'Patel', 'Khan', 'Murphy', 'Campbell',
+    ],
+    domains: {
+      'gmail.com': 40, 'hotmail.co.uk': 15, 'yahoo.co.uk': 10, 'outlook.com': 10,
+      'btinternet.com': 8, 'icloud.com': 8, 'sky.com': 5, 'live.co.uk': 4,
+    },
+  },
+  CA: {
+    locale: 'en-CA',
+    firstNames: [
+      'Liam', 'Olivia', 'Noah', 'Emma', 'William', 'Charlotte', 'Benjamin', 'Ava', 'Lucas', 'Chloe',
+      'Ethan', 'Sophie', 'Logan', 'Mia', 'Nathan', 'Zoe', 'Gabriel', 'Léa', 'Félix', 'Amélie',
+      'Arjun', 'Mei',
+    ],
+    lastNames: [
+      'Smith', 'Brown', 'Tremblay', 'Martin', 'Roy', 'Wilson', 'MacDonald', 'Gagnon', 'Johnson',
+      'Taylor', 'Côté', 'Campbell', 'Anderson', 'Leblanc', 'Lee', 'Bouchard', 'Gauthier', 'Morin',
+      'Singh', 'Wong',
+    ],
+    domains: {
+      'gmail.com': 45, 'hotmail.com': 12, 'outlook.com': 10, 'yahoo.ca': 8, 'icloud.com': 8,
+      'shaw.ca': 6, 'rogers.com': 6, 'videotron.ca': 3,
+    },
+  },
+  DE: {
+    locale: 'de-DE',
+    firstNames: [
+      'Lukas', 'Anna', 'Leon', 'Lena', 'Finn', 'Marie', 'Jonas', 'Sophie', 'Paul', 'Laura',
+      'Felix', 'Hannah', 'Maximilian', 'Julia', 'Tobias', 'Katharina', 'Sebastian', 'Lea',
+      'Jürgen', 'Sabine', 'Stefan', 'Petra', 'Mehmet', 'Elif',
+    ],
+    lastNames: [
+      'Müller', 'Schmidt', 'Schneider', 'Fischer', 'Weber', 'Meyer', 'Wagner', 'Becker', 'Schulz',
+      'Hoffmann', 'Schäfer', 'Koch', 'Bauer', 'Richter', 'Klein', 'Wolf', 'Schröder', 'Neumann',
+      'Schwarz', 'Zimmermann', 'Braun', 'Hofmann', 'Yılmaz', 'Kaya',
+    ],
+    domains: {
+      'gmail.com': 30, 'web.de': 20, 'gmx.de': 20, 't-online.de': 10, 'outlook.de': 6,
+      'yahoo.de': 5, 'posteo.de': 4, 'icloud.com': 5,
+    },
+  },
+  FR: {
+    locale: 'fr-FR',
+    firstNames: [
+      'Gabriel', 'Louise', 'Léo', 'Jade', 'Raphaël', 'Emma', 'Arthur', 'Alice', 'Louis', 'Chloé',
+      'Hugo', 'Léa', 'Jules', 'Manon', 'Lucas', 'Camille', 'Nathan', 'Inès', 'Thomas', 'Sarah',
+      'Mohamed', 'Yasmine',
+    ],
+    lastNames: [
+      'Martin', 'Bernard', 'Dubois', 'Thomas', 'Robert', 'Richard', 'Petit', 'Durand', 'Leroy',
+      'Moreau', 'Simon', 'Laurent', 'Lefèvre', 'Michel', 'Garcia', 'David', 'Bertrand', 'Roux',
+      'Vincent', 'Fournier', 'Girard', 'Benali',
+    ],
+    domains: {
+      'gmail.com': 35, 'orange.fr': 15, 'hotmail.fr': 12, 'free.fr': 10, 'yahoo.fr': 8,
+      'laposte.net': 8, 'sfr.fr': 6, 'outlook.fr': 6,
+    },
+  },
+  NL: {
+    locale: 'nl-NL',
+    firstNames: [
+      'Daan', 'Emma', 'Sem', 'Julia', 'Lucas', 'Mila', 'Levi', 'Tess', 'Finn', 'Sophie', 'Milan',
+      'Zoë', 'Bram', 'Sanne', 'Thijs', 'Fleur', 'Jesse', 'Lotte', 'Ruben', 'Eva', 'Mohammed', 'Noor',
+    ],
+    lastNames: [
+      'de Jong', 'Jansen', 'de Vries', 'van den Berg', 'van Dijk', 'Bakker', 'Janssen', 'Visser',
+      'Smit', 'Meijer', 'de Boer', 'Mulder', 'de Groot', 'Bos', 'Vos', 'Peters', 'Hendriks',
+      'van Leeuwen', 'Dekker', 'Brouwer',
+    ],
+    domains: {
+      'gmail.com': 40, 'hotmail.com': 15, 'outlook.com': 10, 'ziggo.nl': 10, 'kpnmail.nl': 8,
+      'live.nl': 6, 'icloud.com': 6, 'xs4all.nl': 5,
+    },
+  },
+};
+
+// Countries without a pack of their own fall back to this one
+const DEFAULT_COUNTRY = 'US';
+
+// Company domains for people who sign up with a work address (the Hogflix demo's own universe)
+const WORK_DOMAINS = {
+  'pixhog.biz': 1,
+  'imaginhog.ai': 1,
+  'marvelhogstudios.io': 1,
+  'hannahogbera.com': 1,
+  'dreamhogs.biz': 1,
+  'bluespiky.com': 1,
+  'illuminhogion.tech': 1,
+  'hogartsentertainment.tech': 1,
+  'pricklypictures.app': 1,
+  'spinemation.io': 1,
+};
+
+// Share of sign-ups that use a work address when the persona doesn't say
+const DEFAULT_WORK_EMAIL_RATE = 0.1;
+
+// Give up on a fresh handle after this many taken ones and fall back to a numbered one
+const MAX_UNIQUE_ATTEMPTS = 20;
+
+const PASSWORD_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Turns a name into something usable in a username: lowercase ASCII letters only
+ * @param {string} name - Name, possibly with accents or spaces ("van den Berg", "Müller")
+ * @returns {string} e.g. "vandenberg", "mueller"
+ */
+function toHandlePart(name) {
+  return name
+    .toLowerCase()
+    .replace(/ä/g, 'ae')
+    .replace(/ö/g, 'oe')
+    .replace(/ü/g, 'ue')
+    .replace(/ß/g, 'ss')
+    .replace(/ı/g, 'i')
+    .normalize('NFD')
+    .replace(/[^a-z]/g, '');
+}
+
+function randomNumber(min, max, random) {
+  return Math.floor(random() * (max - min + 1)) + min;
+}
+
+// Username shapes people actually pick, with how often they pick them
+const HANDLE_PATTERNS = [
+  { weight: 20, build: (first, last) => `${first}.${last}` },
+  { weight: 15, build: (first, last) => `${first}${last}` },
+  { weight: 8, build: (first, last) => `${first}_${last}` },
+  { weight: 12, build: (first, last) => `${first[0]}${last}` },
+  { weight: 10, build: (first, last, random) => `${first}${last}${randomNumber(1, 99, random)}` },
+  { weight: 12, build: (first, last, random) => `${first}${randomNumber(1965, 2006, random)}` },
+  { weight: 8, build: (first, last, random) => `${first}.${last}${randomNumber(1, 9, random)}` },
+  { weight: 8, build: (first, last) => `${first}${last[0]}` },
+  { weight: 7, build: (first, last) => `${last}.${first}` },
+];
+
+function buildHandle(first, last, random) {
+  const patterns = Object.fromEntries(HANDLE_PATTERNS.map((pattern, i) => [i, pattern.weight]));
+  return HANDLE_PATTERNS[Number(weightedPick(patterns, random))].build(first, last, random);
+}
+
+/**
+ * Returns the locale pack for a country
+ * @param {string} [country] - ISO country code, e.g. "DE"
+ * @returns {Object} Locale pack, the US one for countries without a pack
+ */
+function getLocalePack(country) {
+  return LOCALE_PACKS[country] || LOCALE_PACKS[DEFAULT_COUNTRY];
+}
+
+/**
+ * Generates an identity that fits the session's country
+ * @param {Object} [options]
+ * @param {string} [options.country] - ISO country code from the session's geolocation
+ * @param {Object} [options.persona] - Persona, its `workEmailRate` is the chance of a work address
+ * @param {function(): number} [options.random] - Random source, defaults to Math.random
+ * @param {Object<string, Object<string, number>>} [options.domainPools] - Domain weights that
+ *   replace the built-in pools, keyed by country code, "default" (any country) or "work"
+ * @param {function(string): boolean} [options.isTaken] - Returns true for usernames and emails
+ *   already used; when given, the username is varied until both are free
+ * @returns {{firstName: string, lastName: string, username: string, email: string,
+ *   password: string, locale: string, country: string}}
+ */
+function randomizeIdentity(options = {}) {
+  const { country, persona, random = Math.random, domainPools = {}, isTaken } = options;
+  const pack = getLocalePack(country);
+
+  const firstName = pick(pack.firstNames, random);
+  const lastName = pick(pack.lastNames, random);
+  const first = toHandlePart(firstName);
+  const last = toHandlePart(lastName);
+
+  const workEmailRate = persona?.workEmailRate ?? DEFAULT_WORK_EMAIL_RATE;
+  const useWorkEmail = random() < workEmailRate;
+  const domains = useWorkEmail
+    ? domainPools.work || WORK_DOMAINS
+    : domainPools[country] || domainPools.default || pack.domains;
+  const domain = weightedPick(domains, random);
+
+  // Work addresses follow company conventions, personal ones usually reuse the handle
+  const username = buildHandle(first, last, random);
+  let candidate = {
+    username,
+    email: `${useWorkEmail ? `${first}.${last}` : username}@${domain}`,
+  };
+  if (isTaken) {
+    for (let attempt = 1; isTaken(candidate.username) || isTaken(candidate.email); attempt++) {
+      const nextUsername =
+        attempt < MAX_UNIQUE_ATTEMPTS
+          ? buildHandle(first, last, random)
+          : `${first}${last}${randomNumber(100, 999999, random)}`;
+      // Retries use the handle for the address too, like a second "john.smith" at a company would
+      candidate = { username: nextUsername, email: `${nextUsername}@${domain}` };
+    }
+  }
+
+  const password = Array.from({ length: 9 }, () =>
+    PASSWORD_CHARACTERS.charAt(Math.floor(random() * PASSWORD_CHARACTERS.length))
+  ).join('');
+
+  return {
+    firstName,
+    lastName,
+    username: candidate.username,
+    email: candidate.email,
+    password,
+    locale: pack.locale,
+    country: LOCALE_PACKS[country] ? country : DEFAULT_COUNTRY,
+  };
+}
+
+/**
+ * Swaps two neighbouring characters, the most common slip when typing fast
+ * @param {string} value - Correct value
+ * @param {function(): number} random - Random source
+ * @returns {string} Value with one transposition, or an extra character if it can't differ
+ */
+function transpose(value, random) {
+  for (let tries = 0; tries < 5 && value.length > 1; tries++) {
+    const i = Math.floor(random() * (value.length - 1));
+    const typo = value.slice(0, i) + value[i + 1] + value[i] + value.slice(i + 2);
+    if (typo !== value) return typo;
+  }
+  return `${value}${value.slice(-1) || 'x'}`;
+}
+
+/**
+ * Builds the wrong values a user might enter for an identity before correcting them
+ * @param {Object} user - Identity from randomizeIdentity
+ * @param {function(): number} [random] - Random source, defaults to Math.random
+ * @returns {{username: string, email: string, invalidEmail: string, password: string}}
+ *   Usernames and emails with a typo, an email that fails validation, and a mistyped password
+ */
+function generateTypos(user, random = Math.random) {
+  const [local, domain] = user.email.split('@');
+  const invalidEmails = [
+    `${local}${domain}`,
+    `${local}@${domain.split('.')[0]}`,
+    `${local}@@${domain}`,
+    `${local}@${domain.replace('.', ',')}`,
+  ];
+  return {
+    username: transpose(user.username, random),
+    email: `${local}@${transpose(domain.split('.')[0], random)}.${domain.split('.').slice(1).join('.')}`,
+    invalidEmail: invalidEmails[Math.floor(random() * invalidEmails.length)],
+    password: transpose(user.password, random),
+  };
+}
+
+export { LOCALE_PACKS, WORK_DOMAINS, generateTypos, getLocalePack, randomizeIdentity };
@@ -0,0 +1,165 @@
+/**
+ * touch.js
+ * Touch gestures for phone and tablet sessions: tap, swipe-scroll, pinch and long-press
+ *
+ * Gestures go through Chrome DevTools Protocol Input.synthesize*Gesture calls,
+ * which produce the same touch events, scroll flings and synthesized clicks as a
+ * finger would. Playwright's own touchscreen needs `hasTouch` on a context it
+ * created, which isn't the case for Browserbase sessions, so it isn't used.
+ */
+
+import { logger } from './logger.js';
+import { randomNumber, readViewport, waitForElement } from './mouseMove.js';
+
+// Maximum swipes when scrolling to a position or an element into view
+const MAX_SWIPES = 15;
+
+/**
+ * Creates touch gestures bound to a page
+ * @param {import('playwright').Page} page - Playwright page object on a touch-emulated device
+ * @param {Object} [options] - Optional settings
+ * @param {function(): number} [options.random] - Random source, defaults to Math.random
+ * @returns {Object} Touch driver with tap, longPress, swipeScroll, swipeIntoView and pinch
+ */
+function createTouchDriver(page, options = {}) {
+  const { random = Math.random } = options;
+  let cdpSession;
+
+  const send = async (method, params) => {
+    cdpSession = cdpSession || (await page.context().newCDPSession(page));
+    return cdpSession.send(method, params);
+  };
+
+  // Same wait and failure as mouse clicks, see waitForElement
+  const resolveElement = (target) => waitForElement(page, target);
+
+  // One swipe: the finger moves up to scroll down, optionally letting the page fling on.
+  // Resolves to true if the page moved, false at the end of the page.
+  async function swipe(distance, viewport) {
+    await send('Input.synthesizeScrollGesture', {
+      x: Math.round(viewport.innerWidth * (0.3 + random() * 0.4)),
+      y: Math.round(viewport.innerHeight * (distance > 0 ? 0.75 : 0.25)),
+      yDistance: -Math.round(distance),
+      xDistance: randomNumber(-15, 15, random),
+      speed: randomNumber(600, 1600, random),
+      preventFling: random() < 0.4,
+      gestureSourceType: 'touch',
+    });
+    await page.waitForTimeout(randomNumber(250, 700, random));
+    return (await readViewport(page)).scrollY !== viewport.scrollY;
+  }
+
+  /**
+   * Swipes until the element is on screen
+   * @param {string|Object} target - Selector, element handle or locator
+   * @returns {Promise<Object|null>} The element's bounding box once visible, or null
+   * @throws {Error} If the element never shows up
+   */
+  async function swipeIntoView(target) {
+    const element = await resolveElement(target);
+
+    for (let i = 0; i < MAX_SWIPES; i++) {
+      const box = await element.boundingBox();
+      if (!box) return null;
+      const viewport = await readViewport(page);
+      const center = box.y + box.height / 2;
+      if (center > viewport.innerHeight * 0.1 && center < viewport.innerHeight * 0.9) {
+        return box;
+      }
+      const distance = center - viewport.innerHeight / 2;
+      const moved = await swipe(Math.sign(distance) * Math.min(Math.abs(distance), viewport.innerHeight * 0.7), viewport);
+      if (!moved) break;
+    }
+    return element.boundingBox();
+  }
+
+  // A point inside the element, not always dead center, like a fingertip
+  const touchPoint = (box) => ({
+    x: Math.round(box.x + box.width * (0.3 + random() * 0.4)),
+    y: Math.round(box.y + box.height * (0.3 + random() * 0.4)),
+  });
+
+  async function press(element, duration) {
+    const box = await swipeIntoView(element);
+    if (!box) throw new Error('Element is not visible');
+    await page.waitForTimeout(randomNumber(150, 400, random));
+    await send('Input.synthesizeTapGesture', {
+      ...touchPoint(box),
+      duration,
+      tapCount: 1,
+      gestureSourceType: 'touch',
+    });
+  }
+
+  return {
+    /**
+     * Taps an element, swiping it into view first
+     * @param {string|Object} target - Selector, element handle or locator
+     * @returns {Promise<void>}
+     * @throws {Error} If the element never shows up or can't be tapped or clicked
+     */
+    async tap(target) {
+      const element = await resolveElement(target);
+      try {
+        await press(element, randomNumber(40, 120, random));
+      } catch (error) {
+        logger.warn('Tap failed', { error: error.message });
+        // Fallback to a regular click, which fails the step if it can't click either
+        await element.click();
+      }
+    },
+
+    /**
+     * Presses and holds an element
+     * @param {string|Object} target - Selector, element handle or locator
+     * @returns {Promise<void>}
+     * @throws {Error} If the element never shows up or isn't visible
+     */
+    async longPress(target) {
+      await press(await resolveElement(target), randomNumber(600, 1200, random));
+    },
+
+    /**
+     * Swipes until the page is scrolled to roughly the given position
+     * @param {number} targetPosition - Scroll target position
+     * @returns {Promise<void>}
+     */
+    async swipeScroll(targetPosition) {
+      try {
+        for (let i = 0; i < MAX_SWIPES; i++) {
+          const viewport = await readViewport(page);
+          const target = Math.min(targetPosition, Math.max(0, viewport.scrollHeight - viewport.innerHeight));
+          const remaining = target - viewport.scrollY;
+          if (Math.abs(remaining) < 50) return;
+          const stroke = viewport.innerHeight * (0.4 + random() * 0.4);
+          const moved = await swipe(Math.sign(remaining) * Math.min(Math.abs(remaining), stroke), viewport);
+          if (!moved) return;
+        }
+      } catch (error) {
+        logger.warn('Swipe scroll failed', { error: error.message });
+      }
+    },
+
+    swipeIntoView,
+
+    /**
+     * Pinches to zoom in on an element (or the middle of the screen), looks, then zooms back out
+     * @param {string|Object} [target] - Selector, element handle or locator
+     * @returns {Promise<void>}
+     */
+    async pinch(target) {
+      const viewport = await readViewport(page);
+      const box = target ? await swipeIntoView(target) : null;
+      const point = box
+        ? touchPoint(box)
+        : { x: Math.round(viewport.innerWidth / 2), y: Math.round(viewport.innerHeight / 2) };
+      const scale = 1.5 + random() * 1.0;
+
+      await send('Input.synthesizePinchGesture', { ...point, scaleFactor: scale, gestureSourceType: 'touch' });
+      await page.waitForTimeout(randomNumber(1000, 3000, random));
+      await send('Input.synthesizePinchGesture', { ...point, scaleFactor: 1 / scale, gestureSourceType: 'touch' });
+    },
+  };
+}
+
+export { createTouchDriver };